@@ -0,0 +1,16 @@
+// Reports engine steps/second at several particle counts.
+// Usage: npm run benchmark [-- 100,1000,5000]
+import { register } from 'node:module';
+
+// The sources are loaded once the hook that marks them as ES modules is in.
+register('./src-loader.mjs', import.meta.url);
+const { runBenchmark } = await import('../src/simulation/benchmark.js');
+
+const counts = process.argv[2]
+  ? process.argv[2].split(',').map((n) => parseInt(n, 10))
+  : undefined;
+
+console.log('particles  steps/s');
+for (const { count, stepsPerSecond } of runBenchmark({ counts })) {
+  console.log(`${String(count).padStart(9)}  ${stepsPerSecond.toFixed(1).padStart(7)}`);
+}
@@ -0,0 +1,13 @@
+// Node module hook for the command-line scripts. The app's sources under
+// src/ are ES modules in a package without "type": "module" (Create React
+// App compiles them), so mark them as modules for Node instead of relying
+// on its module syntax detection. Registered with module.register, which
+// needs Node 18.19 or 20.6 and later.
+const SRC = new URL('../src/', import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
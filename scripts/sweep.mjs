@@ -0,0 +1,21 @@
+// Runs a parameter sweep headlessly and prints the results as CSV.
+// Usage: npm run sweep [-- temperature|activationEnergy|numParticles from to points [dims]]
+// e.g.   npm run sweep -- temperature 100 500 9 > sweep.csv
+import { register } from 'node:module';
+
+// The sources are loaded once the hook that marks them as ES modules is in.
+register('./src-loader.mjs', import.meta.url);
+const { runSweep, sweepToCSV } = await import('../src/simulation/sweep.js');
+
+const [parameter, from, to, points, dimensions] = process.argv.slice(2);
+const options = parameter
+  ? {
+      parameter,
+      from: parseFloat(from),
+      to: parseFloat(to),
+      points: parseInt(points, 10),
+      dimensions: dimensions ? parseInt(dimensions, 10) : 2,
+    }
+  : {};
+
+process.stdout.write(sweepToCSV(runSweep(options)));
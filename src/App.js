@@ -1,20 +1,250 @@
-import React, { useState } from 'react';
-import SimulationCanvas from './components/SimulationCanvas';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import SimulationCanvas, { MAX_CANVAS_HEIGHT } from './components/SimulationCanvas';
 import MBDistributionChart from './components/MBDistributionChart';
+import SpeciesPanel from './components/SpeciesPanel';
+import ThermodynamicsPanel from './components/ThermodynamicsPanel';
+import PistonPanel from './components/PistonPanel';
+import ScenarioPanel, { SCENARIOS } from './components/ScenarioPanel';
+import ChamberChart from './components/ChamberChart';
+import BarometricChart from './components/BarometricChart';
+import TracerPanel from './components/TracerPanel';
+import SweepPanel from './components/SweepPanel';
+import SessionControls from './components/SessionControls';
+import LabPanel from './components/LabPanel';
+import ReactionPanel from './components/ReactionPanel';
+import { DEFAULT_CHART_SETTINGS } from './components/chartSettings';
+import {
+  BOX_SIZE_RANGE,
+  createSpecies,
+  DEFAULT_OPTIONS,
+  GRAVITY_RANGE,
+  THERMOSTATS,
+} from './simulation/engine';
+import { DEFAULT_REACTION_SETTINGS } from './simulation/reactions';
+import { createSession, loadFromStorage, saveToStorage } from './session/session';
+import { createSnapshot } from './components/snapshots';
 import './App.css';
 
+// Restore the autosaved session once on startup.
+const loadAutosave = () => {
+  try {
+    return { session: loadFromStorage(), message: null };
+  } catch (error) {
+    return {
+      session: null,
+      message: { type: 'error', text: `Autosaved session ignored: ${error.message}` },
+    };
+  }
+};
+
+// A saved piston drives the wall back to where it was: its target, or the
+// position it was stopped at.
+const loadPiston = (piston) =>
+  piston && {
+    target: piston.target === null ? piston.position : piston.target,
+    speed: piston.speed,
+  };
+
 function App() {
-  const [temperature, setTemperature] = useState(300);
-  const [snapshots, setSnapshots] = useState([]);
+  const [autosave] = useState(loadAutosave);
+  const saved = autosave.session;
+
+  const [temperature, setTemperature] = useState(saved ? saved.settings.temperature : 300);
+  const [snapshots, setSnapshots] = useState(saved ? saved.snapshots : []);
+  // How the gas exchanges energy with its surroundings.
+  const [thermostat, setThermostat] = useState(saved ? saved.settings.thermostat : 'berendsen');
+  const [restitution, setRestitution] = useState(saved ? saved.settings.restitution : 1);
+  // Downward acceleration in px/frame²; 0 turns gravity off.
+  const [gravity, setGravity] = useState(saved ? saved.settings.gravity : 0);
+  // 2D disks, or a 3D box drawn in perspective.
+  const [dimensions, setDimensions] = useState(saved ? saved.settings.dimensions : 2);
+  // Size of the box in simulation units, whatever size it is drawn at.
+  const [box, setBox] = useState(
+    saved ? saved.settings.box : { width: DEFAULT_OPTIONS.width, height: DEFAULT_OPTIONS.height }
+  );
+  // Gas mixture shared by the canvas and the chart.
+  const [species, setSpecies] = useState(saved ? saved.settings.species : [createSpecies()]);
+  // Reaction mode; reactionRun counts restarts for the concentration chart.
+  const [reaction, setReaction] = useState(
+    saved ? saved.settings.reaction : DEFAULT_REACTION_SETTINGS
+  );
+  const [reactionRun, setReactionRun] = useState(0);
+  // Movable right wall: null for a fixed box, then { target, speed }.
+  const [piston, setPiston] = useState(saved ? loadPiston(saved.settings.piston) : null);
+  // Two-chamber experiment: the scenario last loaded, the internal wall
+  // (null for none) and a counter of loads that restarts the particles.
+  const [scenario, setScenario] = useState(null);
+  const [partition, setPartition] = useState(saved ? saved.settings.partition : null);
+  const [scenarioRun, setScenarioRun] = useState(0);
+  // Index of the particle tagged in the canvas, or null.
+  const [tagged, setTagged] = useState(null);
+  // Chart overlays and the Record Data table.
+  const [chartSettings, setChartSettings] = useState(saved ? saved.chart : DEFAULT_CHART_SETTINGS);
+  const [recordedData, setRecordedData] = useState(saved ? saved.recordedData : []);
+  // Latest speeds/energies measured from the particles in the canvas.
+  const [particleSample, setParticleSample] = useState(null);
+  // Particle state to load into the running simulation (from a session file).
+  const [restoreState, setRestoreState] = useState(null);
+  // Actions of the lab step just entered, run once its settings are applied.
+  const [labActions, setLabActions] = useState(null);
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+  // Where the piston is now, saved with its target and speed.
+  const wallRef = useRef(
+    saved && saved.settings.piston ? saved.settings.piston.position : box.width
+  );
+  useEffect(() => {
+    if (particleSample && particleSample.box) wallRef.current = particleSample.box.width;
+  }, [particleSample]);
+
+  const buildSession = async (includeParticles = false) =>
+    createSession({
+      settings: {
+        temperature,
+        thermostat,
+        restitution,
+        gravity,
+        dimensions,
+        box,
+        species,
+        reaction,
+        piston: piston && { ...piston, position: wallRef.current },
+        partition,
+      },
+      chartSettings,
+      snapshots,
+      recordedData,
+      particleState: includeParticles ? await canvasRef.current.getState() : null,
+    });
+
+  const handleLoadSession = (session) => {
+    setTemperature(session.settings.temperature);
+    setThermostat(session.settings.thermostat);
+    setRestitution(session.settings.restitution);
+    setGravity(session.settings.gravity);
+    setDimensions(session.settings.dimensions);
+    setBox(session.settings.box);
+    setSpecies(session.settings.species);
+    setReaction(session.settings.reaction);
+    setPiston(loadPiston(session.settings.piston));
+    setPartition(session.settings.partition);
+    setChartSettings(session.chart);
+    setSnapshots(session.snapshots);
+    setRecordedData(session.recordedData);
+    if (session.particles) setRestoreState(session.particles);
+  };
+
+  // Autosave everything except the particles shortly after each change.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveToStorage(
+        createSession({
+          settings: {
+            temperature,
+            thermostat,
+            restitution,
+            gravity,
+            dimensions,
+            box,
+            species,
+            reaction,
+            piston: piston && { ...piston, position: wallRef.current },
+            partition,
+          },
+          chartSettings,
+          snapshots,
+          recordedData,
+        })
+      );
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [
+    temperature,
+    thermostat,
+    restitution,
+    gravity,
+    dimensions,
+    box,
+    species,
+    reaction,
+    piston,
+    partition,
+    chartSettings,
+    snapshots,
+    recordedData,
+  ]);
+
+  // The simulation reacts above the chart's activation energy (in classroom
+  // energy units, the units of the particle energies), lowered by the catalyst.
+  const activationEnergy = chartSettings.showCatalyst
+    ? chartSettings.classroomCatalystEa
+    : chartSettings.classroomEa;
+  const engineReaction = reaction.enabled
+    ? {
+        reactant: reaction.reactant,
+        product: reaction.product,
+        activationEnergy,
+        heat: reaction.heat,
+      }
+    : null;
+
+  const updateChartSettings = (patch) => setChartSettings((prev) => ({ ...prev, ...patch }));
+
+  const handleRestartReaction = () => {
+    canvasRef.current.restart();
+    setReactionRun((run) => run + 1);
+  };
+
+  const handleLoadScenario = (key) => {
+    setScenario(key);
+    setPartition({ ...SCENARIOS[key].partition, position: Math.round(box.width / 2) });
+    setSpecies(SCENARIOS[key].species);
+    setScenarioRun((run) => run + 1);
+  };
+
+  // Place fresh particles for each load, after the canvas has sent the new
+  // partition (child effects run first), even when the mixture is unchanged.
+  useEffect(() => {
+    if (scenarioRun > 0) canvasRef.current.restart();
+  }, [scenarioRun]);
+
+  // A new box size places fresh particles with the piston fully out and
+  // any partition back in the middle.
+  const handleBoxChange = (key) => (e) => {
+    const next = { ...box, [key]: parseInt(e.target.value, 10) };
+    setBox(next);
+    setPiston(null);
+    setPartition((prev) => prev && { ...prev, position: Math.round(next.width / 2) });
+  };
 
   const handleTemperatureChange = (e) => {
     setTemperature(parseFloat(e.target.value));
   };
 
-  const handleSnapshot = () => {
-    setSnapshots([...snapshots, temperature]);
+  // Keep the current curve, with the measured histogram when it is shown.
+  const handleSnapshot = useCallback(() => {
+    const histogram = chartSettings.showHistogram ? chartRef.current.captureHistogram() : null;
+    setSnapshots((prev) => [...prev, createSnapshot(temperature, prev, histogram)]);
+  }, [chartSettings.showHistogram, temperature]);
+
+  const handleApplyLabStep = (step) => {
+    if (step.set.temperature !== undefined) setTemperature(step.set.temperature);
+    if (step.set.dimensions !== undefined) setDimensions(step.set.dimensions);
+    if (step.set.chart) updateChartSettings(step.set.chart);
+    if (step.actions.length > 0) setLabActions(step.actions);
   };
 
+  // After the render that applied the step, so snapshots and recorded rows
+  // use its temperature and overlays.
+  useEffect(() => {
+    if (!labActions) return;
+    setLabActions(null);
+    labActions.forEach((action) => {
+      if (action === 'snapshot') handleSnapshot();
+      if (action === 'recordData') chartRef.current.recordData();
+    });
+  }, [labActions, handleSnapshot]);
+
   return (
     <div
       className="App"
@@ -45,6 +275,7 @@ function App() {
             display: 'flex',
             justifyContent: 'center',
             alignItems: 'center',
+            flexWrap: 'wrap',
             gap: '20px',
             padding: '10px',
             border: '1px solid #ddd',
@@ -79,8 +310,84 @@ function App() {
           >
             Snapshot
           </button>
+          <label style={{ fontSize: '16px' }}>
+            Thermostat:
+            <select
+              value={thermostat}
+              onChange={(e) => setThermostat(e.target.value)}
+              style={{ marginLeft: '10px' }}
+            >
+              {Object.entries(THERMOSTATS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={{ fontSize: '16px' }}>
+            Restitution: {restitution.toFixed(2)}
+            <input
+              type="range"
+              min="0.5"
+              max="1"
+              step="0.01"
+              value={restitution}
+              onChange={(e) => setRestitution(parseFloat(e.target.value))}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+          <label style={{ fontSize: '16px' }}>
+            Gravity: {gravity > 0 ? `${gravity.toFixed(2)} px/frame²` : 'off'}
+            <input
+              type="range"
+              min={GRAVITY_RANGE.min}
+              max={GRAVITY_RANGE.max}
+              step="0.01"
+              value={gravity}
+              onChange={(e) => setGravity(parseFloat(e.target.value))}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+          <label style={{ fontSize: '16px' }}>
+            Dimensions:
+            <select
+              value={dimensions}
+              onChange={(e) => setDimensions(parseInt(e.target.value, 10))}
+              style={{ marginLeft: '10px' }}
+            >
+              <option value={2}>2D</option>
+              <option value={3}>3D (projected box)</option>
+            </select>
+          </label>
+          {['width', 'height'].map((key) => (
+            <label key={key} style={{ fontSize: '16px' }}>
+              Box {key}: {box[key]}
+              <input
+                type="range"
+                min={BOX_SIZE_RANGE.min}
+                max={BOX_SIZE_RANGE.max}
+                step="20"
+                value={box[key]}
+                onChange={handleBoxChange(key)}
+                style={{ marginLeft: '10px' }}
+              />
+            </label>
+          ))}
         </div>
 
+        {/* Experiment session files */}
+        <SessionControls
+          buildSession={buildSession}
+          onLoad={handleLoadSession}
+          initialMessage={autosave.message}
+        />
+
+        {/* Guided lab scripts */}
+        <LabPanel
+          onApplyStep={handleApplyLabStep}
+          getValues={() => ({ live: chartRef.current.describe(), recorded: recordedData })}
+        />
+
         {/* Simulation and Graph side by side */}
         <div
           className="simulation-and-graph"
@@ -95,10 +402,94 @@ function App() {
             className="simulation-container"
             style={{
               flex: '1 1 400px',
-              maxWidth: '400px',
+              // No wider than the canvas can be drawn at, plus its border.
+              maxWidth: `${Math.round((box.width * MAX_CANVAS_HEIGHT) / box.height) + 2}px`,
             }}
           >
-            <SimulationCanvas temperature={temperature} />
+            <SimulationCanvas
+              ref={canvasRef}
+              temperature={temperature}
+              species={species}
+              thermostat={thermostat}
+              restitution={restitution}
+              gravity={gravity}
+              dimensions={dimensions}
+              box={box}
+              reaction={engineReaction}
+              piston={piston}
+              partition={partition}
+              tagged={tagged}
+              onTag={setTagged}
+              onPistonDrag={(target) => setPiston((prev) => ({ speed: 1, ...prev, target }))}
+              restoreState={restoreState}
+              activationEnergy={activationEnergy}
+              onSample={setParticleSample}
+            />
+            <div style={{ marginTop: '20px' }}>
+              <SpeciesPanel species={species} onChange={setSpecies} box={box} />
+            </div>
+            <div style={{ marginTop: '20px' }}>
+              <ReactionPanel
+                reaction={reaction}
+                species={species}
+                activationEnergy={activationEnergy}
+                catalyst={chartSettings.showCatalyst}
+                onChange={setReaction}
+                onCatalystChange={(value) => updateChartSettings({ showCatalyst: value })}
+                onSpeciesChange={setSpecies}
+                onRestart={handleRestartReaction}
+              />
+            </div>
+            <div style={{ marginTop: '20px' }}>
+              <ScenarioPanel
+                scenario={scenario}
+                partition={partition}
+                onPartitionChange={setPartition}
+                onLoad={handleLoadScenario}
+                box={box}
+              />
+              {partition && (
+                <ChamberChart
+                  species={species}
+                  particleSample={particleSample}
+                  temperature={temperature}
+                  partition={partition}
+                  runId={scenarioRun}
+                />
+              )}
+            </div>
+            <div style={{ marginTop: '20px' }}>
+              <PistonPanel
+                piston={piston}
+                onChange={setPiston}
+                thermostat={thermostat}
+                onThermostatChange={setThermostat}
+                sample={particleSample}
+                boxWidth={box.width}
+              />
+            </div>
+            <div style={{ marginTop: '20px' }}>
+              <ThermodynamicsPanel particleSample={particleSample} />
+            </div>
+            <div style={{ marginTop: '20px' }}>
+              <TracerPanel
+                particleSample={particleSample}
+                species={species}
+                tagged={tagged}
+                onClearTag={() => setTagged(null)}
+              />
+            </div>
+            <div style={{ marginTop: '20px' }}>
+              <SweepPanel
+                temperature={temperature}
+                species={species}
+                box={box}
+                dimensions={dimensions}
+                thermostat={thermostat}
+                activationEnergy={chartSettings.classroomEa}
+                catalystActivationEnergy={chartSettings.classroomCatalystEa}
+              />
+            </div>
           </div>
           <div
             className="graph-container"
@@ -107,7 +498,28 @@ function App() {
               maxWidth: '600px',
             }}
           >
-            <MBDistributionChart temperature={temperature} snapshots={snapshots} />
+            <MBDistributionChart
+              ref={chartRef}
+              temperature={temperature}
+              snapshots={snapshots}
+              onSnapshotsChange={setSnapshots}
+              species={species}
+              dimensions={dimensions}
+              particleSample={particleSample}
+              chartSettings={chartSettings}
+              onChartSettingsChange={updateChartSettings}
+              reaction={reaction}
+              reactionRun={reactionRun}
+              recordedData={recordedData}
+              onRecordedDataChange={setRecordedData}
+            />
+            {gravity > 0 && (
+              <BarometricChart
+                species={species}
+                particleSample={particleSample}
+                temperature={temperature}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,119 @@
+import React, { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import { fitArrhenius } from '../simulation/kinetics';
+import { thermalEnergy } from '../simulation/theory';
+
+const GROUP_COLORS = ['#007BFF', '#8A2BE2', '#DC3545', '#28a745', '#fd7e14'];
+
+// Rows recorded with the same activation energy and unit form one series.
+// Only rows whose k was measured from the particles are fitted; classroom
+// rows against T_eff, the temperature their energies were scaled to.
+const groupRows = (rows) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const k = Number(row.rateOfReaction);
+    if (row.activationEnergy == null || row.measuredPercentageAbove == null || !(k > 0)) return;
+    const key = `${row.activationEnergy}|${row.energyUnit || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { activationEnergy: row.activationEnergy, unit: row.energyUnit, points: [] });
+    }
+    groups
+      .get(key)
+      .points.push({ temperature: Number(row.effectiveTemperature ?? row.temperature), k });
+  });
+  return [...groups.values()];
+};
+
+// Ea recovered from the fitted slope −Ea/R, in the unit the rows were
+// recorded in. On the classroom axis RT is T_eff, so Ea/R is Ea itself.
+const recoveredEa = (fit, unit) =>
+  unit ? thermalEnergy(fit.activationTemperature, unit) : fit.activationTemperature;
+
+// Arrhenius plot of the recorded rows: ln k of the measured rate constants
+// against 1/T with a straight-line fit per activation energy, from which
+// students read Ea and A back.
+const ArrheniusPlot = ({ rows }) => {
+  const groups = useMemo(
+    () =>
+      groupRows(rows).map((group) => ({ ...group, fit: fitArrhenius(group.points) })),
+    [rows]
+  );
+
+  if (!groups.some((group) => group.fit)) return null;
+  const classroom = groups.some((group) => !group.unit);
+
+  const datasets = [];
+  groups.forEach((group, index) => {
+    const color = GROUP_COLORS[index % GROUP_COLORS.length];
+    const unit = group.unit || 'energy units';
+    datasets.push({
+      label: `Ea = ${group.activationEnergy} ${unit}`,
+      data: group.points.map((p) => ({ x: 1000 / p.temperature, y: Math.log(p.k) })),
+      borderColor: color,
+      backgroundColor: color,
+      showLine: false,
+      pointRadius: 4,
+    });
+    if (group.fit) {
+      const xs = group.points.map((p) => 1 / p.temperature);
+      const ends = [Math.min(...xs), Math.max(...xs)];
+      datasets.push({
+        label: `Fit: Ea = ${recoveredEa(group.fit, group.unit).toPrecision(4)} ${unit}`,
+        data: ends.map((x) => ({ x: 1000 * x, y: group.fit.intercept + group.fit.slope * x })),
+        borderColor: color,
+        borderDash: [5, 5],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+  });
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'linear',
+        title: {
+          display: true,
+          text: classroom ? '1000 / T (1/K), T_eff for classroom rows' : '1000 / T (1/K)',
+        },
+      },
+      y: { title: { display: true, text: 'ln k' } },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  return (
+    <div style={{ marginTop: '20px', width: '100%' }}>
+      <div style={{ position: 'relative', width: '100%', height: '300px' }}>
+        <Line data={{ datasets }} options={options} />
+      </div>
+      <div style={{ marginTop: '10px', fontSize: '13px', textAlign: 'center' }}>
+        {groups
+          .filter((group) => group.fit)
+          .map((group) => {
+            const unit = group.unit || 'energy units';
+            return (
+              <div key={`${group.activationEnergy}|${unit}`}>
+                Set E<sub>a</sub> = {group.activationEnergy} {unit} → fitted E<sub>a</sub> ={' '}
+                {recoveredEa(group.fit, group.unit).toPrecision(4)} {unit}, A ={' '}
+                {group.fit.A.toPrecision(3)}, r² = {group.fit.r2.toFixed(4)} (
+                {group.points.length} points)
+              </div>
+            );
+          })}
+      </div>
+    </div>
+  );
+};
+
+export default ArrheniusPlot;
@@ -0,0 +1,197 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
+import {
+  barometricShares,
+  fitScaleHeight,
+  heightHistogram,
+  meanHeight,
+  scaleHeight,
+} from '../simulation/barometric';
+
+// Horizontal slices the box is divided into.
+const BINS = 20;
+// Samples averaged, about ten seconds at the canvas's sampling rate.
+const AVERAGING_SAMPLES = 100;
+const cellStyle = { border: '1px solid #ddd', padding: '4px' };
+
+// Height-density profile of the gas in a gravity field: the share of each
+// species in each slice of the box, averaged over recent samples, against
+// the barometric formula n(h) ∝ exp(−mgh/kT) at the set temperature. The
+// table compares each species' scale height kT/mg with the one fitted to
+// its measured mean height.
+const BarometricChart = ({ species, particleSample, temperature }) => {
+  const [samples, setSamples] = useState([]);
+
+  // A new mixture, box height or gravity setting starts a new average.
+  const gravity = particleSample ? particleSample.gravity : 0;
+  const height = particleSample ? particleSample.box.height : DEFAULT_OPTIONS.height;
+  const resetKey = `${gravity}|${height}|${species
+    .map((s) => `${s.mass}:${s.radius}:${s.count}`)
+    .join('|')}`;
+  useEffect(() => {
+    setSamples([]);
+  }, [resetKey]);
+
+  useEffect(() => {
+    if (!particleSample || !particleSample.y) return;
+    const { time, y, radii, box } = particleSample;
+    const histogram = heightHistogram(
+      y,
+      radii,
+      particleSample.species,
+      box.height,
+      species.length,
+      BINS
+    );
+    // Rewinding or scrubbing drops the samples after the shown frame.
+    setSamples((prev) =>
+      [...prev.filter((sample) => sample.time < time), { time, ...histogram }].slice(
+        -AVERAGING_SAMPLES
+      )
+    );
+  }, [particleSample, species.length]);
+
+  const profiles = useMemo(() => {
+    if (samples.length === 0) return [];
+    const kT = simulationThermalEnergy(temperature, DEFAULT_OPTIONS.baseSpeedFactor);
+    const binWidth = height / BINS;
+    return species.map((s, index) => {
+      const counts = new Array(BINS).fill(0);
+      let heightSum = 0;
+      // Samples taken before a change of mixture may lack the species.
+      samples.forEach((sample) => {
+        if (index >= sample.counts.length) return;
+        sample.counts[index].forEach((n, bin) => {
+          counts[bin] += n;
+        });
+        heightSum += sample.heightSums[index];
+      });
+      const total = counts.reduce((sum, n) => sum + n, 0);
+      const span = height - 2 * s.radius;
+      const scale = scaleHeight(kT, s.mass, gravity);
+      const measuredMean = total > 0 ? heightSum / total : null;
+      return {
+        name: s.name,
+        color: s.color,
+        mass: s.mass,
+        measured: total > 0 ? counts.map((n) => n / total) : null,
+        theory: barometricShares(scale, span, binWidth, BINS),
+        scale,
+        fittedScale: measuredMean === null ? null : fitScaleHeight(measuredMean, span),
+        mean: meanHeight(scale, span),
+        measuredMean,
+      };
+    });
+  }, [samples, species, temperature, gravity, height]);
+
+  const data = useMemo(() => {
+    const binWidth = height / BINS;
+    const points = (shares) =>
+      shares.map((share, bin) => ({ x: share * 100, y: (bin + 0.5) * binWidth }));
+    const datasets = [];
+    profiles.forEach((profile) => {
+      datasets.push({
+        label: `${profile.name}, exp(−mgh/kT)`,
+        data: points(profile.theory),
+        borderColor: profile.color,
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+      });
+      if (profile.measured) {
+        datasets.push({
+          label: `${profile.name}, measured`,
+          data: points(profile.measured),
+          borderColor: profile.color,
+          backgroundColor: profile.color,
+          showLine: false,
+          pointRadius: 3,
+        });
+      }
+    });
+    return { datasets };
+  }, [profiles, height]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'linear',
+        min: 0,
+        title: { display: true, text: 'Share of the species per slice (%)' },
+      },
+      y: {
+        type: 'linear',
+        min: 0,
+        max: height,
+        title: { display: true, text: 'Height above the floor (px)' },
+      },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  const format = (value) => (value === null ? '—' : value.toFixed(0));
+
+  return (
+    <div
+      style={{
+        marginTop: '20px',
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <strong>Barometric distribution</strong>
+      <div style={{ fontSize: '13px', color: '#555', margin: '4px 0 8px' }}>
+        g = {gravity.toFixed(2)} px/frame². Molecules in each of {BINS} slices, averaged over the
+        last {samples.length} samples, against n(h) ∝ exp(−mgh/kT) at {temperature} K.
+      </div>
+      <div style={{ position: 'relative', width: '100%', height: '300px' }}>
+        <Line data={data} options={options} />
+      </div>
+      {profiles.length > 0 && (
+        <table
+          style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px', fontSize: '13px' }}
+        >
+          <thead>
+            <tr>
+              <th style={cellStyle}>Species</th>
+              <th style={cellStyle}>Mass</th>
+              <th style={cellStyle}>Scale height kT/mg (px)</th>
+              <th style={cellStyle}>Fitted scale height (px)</th>
+              <th style={cellStyle}>Mean height, theory (px)</th>
+              <th style={cellStyle}>Mean height, measured (px)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profiles.map((p) => (
+              <tr key={p.name}>
+                <td style={cellStyle}>{p.name}</td>
+                <td style={cellStyle}>{p.mass}</td>
+                <td style={cellStyle}>{Number.isFinite(p.scale) ? format(p.scale) : '∞'}</td>
+                <td style={cellStyle}>{format(p.fittedScale)}</td>
+                <td style={cellStyle}>{format(p.mean)}</td>
+                <td style={cellStyle}>{format(p.measuredMean)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default BarometricChart;
@@ -0,0 +1,151 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
+import { FRAME_SECONDS } from '../simulation/host';
+import { countSides, fitRelaxation, relaxationRate } from '../simulation/chambers';
+
+// Longest series kept; older points are thinned out beyond this.
+const MAX_POINTS = 600;
+const cellStyle = { border: '1px solid #ddd', padding: '4px' };
+
+// Molecules of each species in each chamber against time. With a hole in
+// the partition, the rate at which each species relaxes to its share of
+// both chambers is fitted and compared with kinetic theory, and the rates
+// relative to the lightest species with Graham's law, 1/√m.
+const ChamberChart = ({ species, particleSample, temperature, partition, runId }) => {
+  const [run, setRun] = useState([]);
+
+  // A new experiment, mixture or partition setting starts a new run.
+  const resetKey = `${runId}|${JSON.stringify(partition)}|${species
+    .map((s) => `${s.mass}:${s.count}`)
+    .join('|')}`;
+  useEffect(() => {
+    setRun([]);
+  }, [resetKey]);
+
+  useEffect(() => {
+    if (!particleSample || !particleSample.x || !particleSample.partition) return;
+    const time = particleSample.time * FRAME_SECONDS;
+    const counts = countSides(
+      particleSample.x,
+      particleSample.species,
+      particleSample.partition.position,
+      species.length
+    );
+    setRun((prev) => {
+      // Rewinding or scrubbing drops the points after the shown frame.
+      let next = prev.filter((point) => point.time < time);
+      const { width: boxWidth, height } = particleSample.box;
+      next.push({ time, ...counts, boxWidth, height });
+      if (next.length > MAX_POINTS) next = next.filter((_, i) => i % 2 === 0);
+      return next;
+    });
+  }, [particleSample, species.length]);
+
+  const data = useMemo(() => {
+    const series = (side, index) =>
+      run.map((point) => ({ x: point.time - run[0].time, y: point[side][index] ?? 0 }));
+    const datasets = [];
+    species.forEach((s, index) => {
+      datasets.push({
+        label: `${s.name} (left)`,
+        data: series('left', index),
+        borderColor: s.color,
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+      });
+      datasets.push({
+        label: `${s.name} (right)`,
+        data: series('right', index),
+        borderColor: s.color,
+        borderDash: [5, 5],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+      });
+    });
+    return { datasets };
+  }, [run, species]);
+
+  // Measured and predicted relaxation rates, per second.
+  const rates = useMemo(() => {
+    if (!partition || partition.open || partition.hole === 0 || run.length < 3) return null;
+    const kT = simulationThermalEnergy(temperature, DEFAULT_OPTIONS.baseSpeedFactor);
+    const { boxWidth, height } = run[run.length - 1];
+    const leftArea = partition.position * height;
+    const rightArea = (boxWidth - partition.position) * height;
+    return species.map((s, index) => {
+      const total = run[0].left[index] + run[0].right[index];
+      const equilibrium = (total * leftArea) / (leftArea + rightArea);
+      const measured = fitRelaxation(
+        run.map((point) => ({ time: point.time, left: point.left[index] })),
+        equilibrium
+      );
+      const predicted =
+        relaxationRate(partition.hole, kT, s.mass, leftArea, rightArea) / FRAME_SECONDS;
+      return { name: s.name, mass: s.mass, measured, predicted };
+    });
+  }, [partition, run, species, temperature]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: 'linear', min: 0, title: { display: true, text: 'Time since start (s)' } },
+      y: { min: 0, title: { display: true, text: 'Number of molecules' } },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  const lightest = rates && rates.reduce((a, b) => (b.mass < a.mass ? b : a));
+
+  return (
+    <div style={{ marginTop: '20px', width: '100%' }}>
+      <div style={{ position: 'relative', width: '100%', height: '250px' }}>
+        <Line data={data} options={options} />
+      </div>
+      {rates && (
+        <table
+          style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px', fontSize: '13px' }}
+        >
+          <thead>
+            <tr>
+              <th style={cellStyle}>Species</th>
+              <th style={cellStyle}>Mass</th>
+              <th style={cellStyle}>Measured rate (1/s)</th>
+              <th style={cellStyle}>Kinetic theory (1/s)</th>
+              <th style={cellStyle}>Measured ÷ {lightest.name}</th>
+              <th style={cellStyle}>√(m_{lightest.name} / m)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map((r) => (
+              <tr key={r.name}>
+                <td style={cellStyle}>{r.name}</td>
+                <td style={cellStyle}>{r.mass}</td>
+                <td style={cellStyle}>{r.measured === null ? '—' : r.measured.toFixed(3)}</td>
+                <td style={cellStyle}>{r.predicted.toFixed(3)}</td>
+                <td style={cellStyle}>
+                  {r.measured === null || !lightest.measured
+                    ? '—'
+                    : (r.measured / lightest.measured).toFixed(2)}
+                </td>
+                <td style={cellStyle}>{Math.sqrt(lightest.mass / r.mass).toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ChamberChart;
@@ -0,0 +1,106 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { FRAME_SECONDS } from '../simulation/host';
+import { countSpecies } from '../simulation/reactions';
+
+// Longest series kept; older points are thinned out beyond this.
+const MAX_POINTS = 600;
+
+// Time for the reactant to fall to half its starting count, or null.
+const halfLife = (run, reactant) => {
+  if (run.length < 2) return null;
+  const start = run[0].counts[reactant];
+  const half = run.find((point) => point.counts[reactant] <= start / 2);
+  return start > 0 && half ? half.time - run[0].time : null;
+};
+
+// Number of molecules of each species against time while reactions run.
+// Restarting keeps the previous run as a dashed line, so the speedup from
+// a catalyst or a higher temperature can be seen side by side.
+const ConcentrationChart = ({ species, particleSample, reactant, runId }) => {
+  const [runs, setRuns] = useState({ current: [], previous: null });
+
+  const speciesKey = species.map((s) => `${s.mass}:${s.radius}:${s.count}`).join('|');
+  useEffect(() => {
+    setRuns((prev) => ({
+      current: [],
+      previous: prev.current.length > 1 ? prev.current : prev.previous,
+    }));
+  }, [runId, speciesKey]);
+
+  useEffect(() => {
+    if (!particleSample || !particleSample.species) return;
+    const time = particleSample.time * FRAME_SECONDS;
+    const counts = countSpecies(particleSample.species, species.length);
+    setRuns((prev) => {
+      // Rewinding or scrubbing drops the points after the shown frame.
+      let current = prev.current.filter((point) => point.time < time);
+      current.push({ time, counts });
+      if (current.length > MAX_POINTS) current = current.filter((_, i) => i % 2 === 0);
+      return { ...prev, current };
+    });
+  }, [particleSample, species.length]);
+
+  const data = useMemo(() => {
+    const relative = (run, index) =>
+      run.map((point) => ({ x: point.time - run[0].time, y: point.counts[index] ?? 0 }));
+    const datasets = species.map((s, index) => ({
+      label: s.name,
+      data: relative(runs.current, index),
+      borderColor: s.color,
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false,
+    }));
+    if (runs.previous) {
+      species.forEach((s, index) => {
+        datasets.push({
+          label: `${s.name} (previous run)`,
+          data: relative(runs.previous, index),
+          borderColor: `${s.color}80`,
+          borderDash: [5, 5],
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+        });
+      });
+    }
+    return { datasets };
+  }, [runs, species]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: 'linear', min: 0, title: { display: true, text: 'Time since start (s)' } },
+      y: { min: 0, title: { display: true, text: 'Number of molecules' } },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  const current = halfLife(runs.current, reactant);
+  const previous = runs.previous && halfLife(runs.previous, reactant);
+
+  return (
+    <div style={{ marginTop: '20px', width: '100%' }}>
+      <div style={{ position: 'relative', width: '100%', height: '250px' }}>
+        <Line data={data} options={options} />
+      </div>
+      <div style={{ marginTop: '6px', fontSize: '13px', textAlign: 'center' }}>
+        Half-life of {species[reactant] ? species[reactant].name : 'the reactant'}:{' '}
+        {current === null ? 'not reached yet' : `${current.toFixed(2)} s`}
+        {runs.previous &&
+          ` · previous run: ${previous === null ? 'not reached' : `${previous.toFixed(2)} s`}`}
+      </div>
+    </div>
+  );
+};
+
+export default ConcentrationChart;
@@ -0,0 +1,189 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
+import { countSpecies } from '../simulation/reactions';
+import { energyDensityFor, speedDensityFor, velocityComponentDensity } from '../simulation/theory';
+
+// Views offered by the chart's view selector. 'energy' is the curve-model
+// chart in MBDistributionChart; the others are drawn here from the
+// measured particles, each against the exact theory for the simulation's
+// number of dimensions.
+export const DISTRIBUTION_VIEWS = {
+  energy: 'Energy (curve model)',
+  speed: 'Speed',
+  velocity: 'Velocity components',
+  particleEnergy: 'Energy (particles)',
+};
+
+const NUM_BINS = 50;
+const { baseSpeedFactor } = DEFAULT_OPTIONS;
+
+// Averaged histogram of `values(sample)` over the window, as stepped points
+// in particles per unit of the axis.
+const histogramPoints = (history, values, min, max) => {
+  const binWidth = (max - min) / NUM_BINS;
+  const counts = new Array(NUM_BINS).fill(0);
+  history.forEach((sample) => {
+    values(sample).forEach((value) => {
+      const bin = Math.floor((value - min) / binWidth);
+      if (bin >= 0 && bin < NUM_BINS) counts[bin] += 1;
+    });
+  });
+  const samples = history.length || 1;
+  return [
+    ...counts.map((count, i) => ({ x: min + i * binWidth, y: count / samples / binWidth })),
+    { x: max, y: 0 },
+  ];
+};
+
+// Speed, velocity-component and energy distributions of the particles in
+// the canvas. Axes scale with the thermal spread of the lightest species;
+// the log scale shows how far the measured tail follows the theory.
+const DistributionViewChart = ({
+  view,
+  dimensions = 2,
+  species,
+  temperature,
+  particleSample,
+  averagingWindow = 30,
+  logScale = false,
+}) => {
+  const [history, setHistory] = useState([]);
+
+  // Keep a rolling window of samples; a new mixture starts a fresh window.
+  useEffect(() => {
+    setHistory([]);
+  }, [species.length]);
+
+  useEffect(() => {
+    if (!particleSample || !particleSample.vx) return;
+    // A frame scrubbed from the timeline replaces the window.
+    setHistory((prev) =>
+      particleSample.scrubbed
+        ? [particleSample]
+        : [...prev, particleSample].slice(-averagingWindow)
+    );
+  }, [particleSample, averagingWindow]);
+
+  const { data, range, axisTitle, peak } = useMemo(() => {
+    const kT = simulationThermalEnergy(temperature, baseSpeedFactor);
+    const lightest = Math.min(...species.map((s) => s.mass));
+    const sigma = Math.sqrt(kT / lightest);
+    // Particles per species from the latest sample, since reactions change
+    // them; the mixture's counts before the first sample.
+    const latest = history[history.length - 1];
+    const counts = latest
+      ? countSpecies(latest.species, species.length)
+      : species.map((s) => s.count);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    let min = 0;
+    let max;
+    let theory;
+    let measured;
+    let title;
+    if (view === 'velocity') {
+      min = -5 * sigma;
+      max = 5 * sigma;
+      theory = (v) =>
+        species.reduce((sum, s, i) => sum + counts[i] * velocityComponentDensity(v, s.mass, kT), 0);
+      measured = [
+        { label: 'Measured vx', values: (sample) => sample.vx, color: '#007BFF' },
+        { label: 'Measured vy', values: (sample) => sample.vy, color: '#DC3545' },
+      ];
+      if (dimensions === 3) {
+        measured.push({
+          label: 'Measured vz',
+          values: (sample) => sample.vz || [],
+          color: '#28A745',
+        });
+      }
+      title = 'Velocity component (px/frame)';
+    } else if (view === 'particleEnergy') {
+      // Energies in the chart's classroom units: E / baseSpeedFactor².
+      const kTChart = kT / (baseSpeedFactor * baseSpeedFactor);
+      max = (dimensions === 3 ? 10 : 8) * kTChart;
+      theory = (E) => total * energyDensityFor(dimensions)(E, kTChart);
+      measured = [{ label: 'Measured', values: (sample) => sample.energies, color: '#17a2b8' }];
+      title = 'Energy (energy units)';
+    } else {
+      max = (dimensions === 3 ? 5 : 4.5) * sigma;
+      theory = (v) =>
+        species.reduce(
+          (sum, s, i) => sum + counts[i] * speedDensityFor(dimensions)(v, s.mass, kT),
+          0
+        );
+      measured = [{ label: 'Measured', values: (sample) => sample.speeds, color: '#17a2b8' }];
+      title = 'Speed (px/frame)';
+    }
+
+    const grid = Array.from({ length: 201 }, (_, i) => min + (i * (max - min)) / 200);
+    const theoryPoints = grid.map((x) => ({ x, y: theory(x) }));
+    // Empty bins have no place on a log axis.
+    const forScale = (points) =>
+      logScale ? points.map((pt) => ({ x: pt.x, y: pt.y > 0 ? pt.y : null })) : points;
+    const datasets = [
+      {
+        label: `Theory (${dimensions}D)`,
+        data: forScale(theoryPoints),
+        borderColor: 'black',
+        borderDash: [5, 5],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      },
+      ...measured.map((m) => ({
+        label: m.label,
+        data: forScale(histogramPoints(history, m.values, min, max)),
+        borderColor: m.color,
+        backgroundColor: `${m.color}40`,
+        fill: logScale ? false : 'origin',
+        stepped: 'after',
+        borderWidth: 1,
+        pointRadius: 0,
+      })),
+    ];
+    return {
+      data: { datasets },
+      range: [min, max],
+      axisTitle: title,
+      peak: Math.max(...theoryPoints.map((pt) => pt.y)),
+    };
+  }, [view, dimensions, species, temperature, history, logScale]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'linear',
+        min: range[0],
+        max: range[1],
+        title: { display: true, text: axisTitle },
+      },
+      y: logScale
+        ? {
+            type: 'logarithmic',
+            min: peak * 1e-4,
+            title: { display: true, text: 'Number of molecules per unit (log scale)' },
+          }
+        : { min: 0, title: { display: true, text: 'Number of molecules per unit' } },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  return (
+    <div style={{ position: 'relative', width: '100%', height: '450px' }}>
+      <Line data={data} options={options} />
+    </div>
+  );
+};
+
+export default DistributionViewChart;
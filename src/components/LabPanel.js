@@ -0,0 +1,234 @@
+import React, { useRef, useState } from 'react';
+import { checkAnswer, parseLabScript, progressToCSV } from '../lab/labScript';
+import exampleLab from '../lab/exampleLab.json';
+import { CSV_MIME, withBOM } from '../utils/csv';
+import { downloadFile, readFileAsText } from '../utils/download';
+
+const feedbackColor = { true: '#28a745', false: '#DC3545', null: '#555' };
+
+// Guided lab mode: load a lab script (see lab/labScript.js) and step through
+// it. Entering a step hands it to `onApplyStep`, which sets the temperature,
+// dimensions and chart overlays and runs its actions; a step entered again
+// (Back, then Next) is handed over without its actions, so its snapshots
+// and Record Data rows are not taken twice. Answers are marked against
+// `getValues()`, the live chart values and the Record Data rows at the time
+// of answering. Responses can be exported as CSV at any point.
+const LabPanel = ({ onApplyStep, getValues }) => {
+  const fileInputRef = useRef(null);
+  const [script, setScript] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  // Latest answer to each step, by index, and the answer being typed.
+  const [responses, setResponses] = useState({});
+  const [draft, setDraft] = useState('');
+  const [student, setStudent] = useState('');
+  const [message, setMessage] = useState(null);
+  // Indices of the steps of this script entered so far.
+  const enteredRef = useRef(new Set());
+
+  const enter = (steps, index) => {
+    const step = steps[index];
+    onApplyStep(enteredRef.current.has(index) ? { ...step, actions: [] } : step);
+    enteredRef.current.add(index);
+  };
+
+  const start = (next) => {
+    setScript(next);
+    setResponses({});
+    setStepIndex(0);
+    setDraft('');
+    enteredRef.current = new Set();
+    enter(next.steps, 0);
+  };
+
+  const goTo = (index) => {
+    setStepIndex(index);
+    setDraft(responses[index] ? responses[index].response : '');
+    enter(script.steps, index);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      start(parseLabScript(await readFileAsText(file)));
+      setMessage({ type: 'info', text: `Loaded ${file.name}.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Could not load ${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleExample = () => {
+    start(parseLabScript(JSON.stringify(exampleLab)));
+    setMessage(null);
+  };
+
+  const handleCheck = () => {
+    const { question } = script.steps[stepIndex];
+    const result = checkAnswer(question, draft, getValues());
+    setResponses((prev) => ({
+      ...prev,
+      [stepIndex]: { response: draft, ...result, answeredAt: new Date().toISOString() },
+    }));
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const csv = withBOM(progressToCSV(script, responses, student));
+    downloadFile(`lab-progress-${date}.csv`, csv, CSV_MIME);
+  };
+
+  const step = script && script.steps[stepIndex];
+  const question = step && step.question;
+  const entry = responses[stepIndex];
+  const answered = Object.values(responses);
+  const questionCount = script ? script.steps.filter((s) => s.question).length : 0;
+
+  const feedback = () => {
+    if (entry.correct === true) return 'Correct.';
+    if (entry.correct === false) {
+      const expected =
+        typeof entry.expected === 'number' ? Number(entry.expected.toPrecision(3)) : entry.expected;
+      return `Not quite: the expected answer is ${expected}.`;
+    }
+    if (question.type === 'text') return 'Answer saved.';
+    return entry.expected === null
+      ? 'Answer saved; there is no value to check it against yet.'
+      : 'Answer saved; enter a number to have it checked.';
+  };
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: '10px',
+          marginBottom: '8px',
+        }}
+      >
+        <strong style={{ marginRight: 'auto' }}>{script ? script.title : 'Guided lab'}</strong>
+        <button onClick={() => fileInputRef.current.click()}>Load lab script</button>
+        <button onClick={handleExample}>Example lab</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          style={{ display: 'none' }}
+        />
+        {script && <button onClick={() => setScript(null)}>Close</button>}
+      </div>
+      {message && (
+        <div
+          style={{
+            fontSize: '13px',
+            marginBottom: '8px',
+            color: message.type === 'error' ? '#DC3545' : '#28a745',
+          }}
+        >
+          {message.text}
+        </div>
+      )}
+      {!script ? (
+        <div style={{ color: '#555' }}>
+          Load a lab script to be guided through an experiment step by step.
+        </div>
+      ) : (
+        <>
+          <div style={{ fontSize: '13px', color: '#555', marginBottom: '4px' }}>
+            Step {stepIndex + 1} of {script.steps.length}
+          </div>
+          <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{step.title}</div>
+          {step.instruction && <div style={{ marginBottom: '8px' }}>{step.instruction}</div>}
+          {question && (
+            <div style={{ padding: '8px', backgroundColor: '#f7f9fc', borderRadius: '4px' }}>
+              <div style={{ marginBottom: '6px' }}>{question.prompt}</div>
+              {question.type === 'choice' ? (
+                question.choices.map((choice, index) => (
+                  <label key={choice} style={{ display: 'block' }}>
+                    <input
+                      type="radio"
+                      name={`lab-step-${stepIndex}`}
+                      checked={draft === index}
+                      onChange={() => setDraft(index)}
+                    />{' '}
+                    {choice}
+                  </label>
+                ))
+              ) : question.type === 'number' ? (
+                <input
+                  type="number"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  style={{ width: '120px' }}
+                />
+              ) : (
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  rows={3}
+                  style={{ width: '100%', boxSizing: 'border-box' }}
+                />
+              )}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' }}>
+                <button onClick={handleCheck} disabled={draft === ''}>
+                  {question.type === 'text' ? 'Save answer' : 'Check answer'}
+                </button>
+                {entry && (
+                  <span style={{ color: feedbackColor[entry.correct] }}>{feedback()}</span>
+                )}
+              </div>
+            </div>
+          )}
+          <div
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              gap: '10px',
+              marginTop: '8px',
+            }}
+          >
+            <button onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === 0}>
+              Back
+            </button>
+            <button
+              onClick={() => goTo(stepIndex + 1)}
+              disabled={stepIndex === script.steps.length - 1}
+            >
+              Next
+            </button>
+            <span style={{ fontSize: '13px', color: '#555' }}>
+              {answered.length} of {questionCount} questions answered,{' '}
+              {answered.filter((r) => r.correct === true).length} correct
+            </span>
+            <label style={{ marginLeft: 'auto' }}>
+              Name:
+              <input
+                type="text"
+                value={student}
+                onChange={(e) => setStudent(e.target.value)}
+                style={{ marginLeft: '6px', width: '120px' }}
+              />
+            </label>
+            <button onClick={handleExport}>Export responses</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LabPanel;
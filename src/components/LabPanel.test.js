@@ -0,0 +1,23 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import LabPanel from './LabPanel';
+
+test('a step runs its actions when first entered, and only restores its settings after', () => {
+  const onApplyStep = jest.fn();
+  render(<LabPanel onApplyStep={onApplyStep} getValues={() => ({ live: null, recorded: [] })} />);
+  fireEvent.click(screen.getByText('Example lab'));
+  fireEvent.click(screen.getByText('Next'));
+  fireEvent.click(screen.getByText('Back'));
+  fireEvent.click(screen.getByText('Next'));
+
+  const applied = onApplyStep.mock.calls.map(([step]) => step);
+  expect(applied.map((step) => step.title)).toEqual([
+    'The distribution at room temperature',
+    'Molecules that can react',
+    'The distribution at room temperature',
+    'Molecules that can react',
+  ]);
+  expect(applied.map((step) => step.actions)).toEqual([['snapshot'], ['recordData'], [], []]);
+  // Revisits still restore the step's settings.
+  expect(applied[2].set).toEqual(applied[0].set);
+  expect(applied[3].set).toEqual(applied[1].set);
+});
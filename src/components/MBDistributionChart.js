@@ -1,113 +1,436 @@
 import React, {
   useEffect,
+  useImperativeHandle,
   useState,
   useMemo,
   useCallback,
   useRef,
 } from 'react';
 import { Line } from 'react-chartjs-2';
+import SpeedDistributionChart from './SpeedDistributionChart';
+import RecordedDataTable from './RecordedDataTable';
+import ArrheniusPlot from './ArrheniusPlot';
+import ConcentrationChart from './ConcentrationChart';
+import SnapshotPanel from './SnapshotPanel';
+import DistributionViewChart, { DISTRIBUTION_VIEWS } from './DistributionViewChart';
+import { snapshotColor, snapshotLabel } from './snapshots';
+import { buildHistogram, sampleToAxisScale, shareAbove } from './histogram';
+import { dragValue, roundToStep, stepThreshold, thresholdNear } from './thresholds';
+import { CSV_MIME, toCSV, withBOM } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+import {
+  CLASSROOM_AREA,
+  CLASSROOM_PARTICLES,
+  classroomEffectiveTemperature,
+  classroomEnergyDensity,
+  energyDensityFor,
+  energyStatistics,
+  speedStatistics,
+  thermalEnergy,
+  convertEnergy,
+} from '../simulation/theory';
+import { fractionAbove } from '../simulation/kinetics';
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
 import {
   Chart as ChartJS,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   Title,
   Tooltip,
   Legend,
+  Filler,
 } from 'chart.js';
 
 // Ensure the linear scale (and others) are registered.
-ChartJS.register(LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+ChartJS.register(
+  LinearScale,
+  LogarithmicScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
 
 // --- Custom Plugin for Activation Energy Shading ---
+// Draws one dashed line per threshold in `options.thresholds` ({ value,
+// color, fill, percentage }), shades the curve above it and labels the
+// shading with the percentage of molecules above. Lines can be dragged with
+// the mouse or by touch; `options.onDrag(index, value)` reports new values.
 const activationPlugin = {
   id: 'activationPlugin',
+  afterEvent(chart, args, options) {
+    if (!options.showActivation || !options.thresholds || !options.onDrag) return;
+    const { event } = args;
+    const { x, y } = chart.scales;
+    const inArea = event.y >= y.top && event.y <= y.bottom;
+    if (event.type === 'mousedown' || event.type === 'touchstart') {
+      chart.$activationDrag = inArea ? thresholdNear(x, options.thresholds, event.x) : -1;
+      if (chart.$activationDrag >= 0 && options.onSelect) options.onSelect(chart.$activationDrag);
+    } else if (event.type === 'mouseup' || event.type === 'touchend' || event.type === 'mouseout') {
+      chart.$activationDrag = -1;
+    } else if (event.type === 'mousemove' || event.type === 'touchmove') {
+      const dragging = chart.$activationDrag >= 0;
+      if (dragging) {
+        options.onDrag(chart.$activationDrag, dragValue(x, event.x, options.xMax));
+        args.changed = true;
+      }
+      const hover = dragging || (inArea && thresholdNear(x, options.thresholds, event.x) >= 0);
+      chart.canvas.style.cursor = hover ? 'ew-resize' : '';
+    }
+  },
   afterDatasetsDraw(chart, args, options) {
-    if (!options.showActivation) return;
+    if (!options.showActivation || !options.thresholds) return;
     const { ctx, scales: { x, y } } = chart;
     const dynamicDataset = chart.data.datasets[0];
     if (!dynamicDataset) return;
-    // Filter dynamic data points with x >= activationX.
-    const regionPoints = dynamicDataset.data.filter(pt => pt.x >= options.activationX);
-    if (regionPoints.length === 0) return;
-    ctx.save();
-    // Build polygon: start at (activationX, y=0)
-    const xActivation = x.getPixelForValue(options.activationX);
     const yZero = y.getPixelForValue(0);
-    ctx.beginPath();
-    ctx.moveTo(xActivation, yZero);
-    regionPoints.forEach(pt => {
-      ctx.lineTo(x.getPixelForValue(pt.x), y.getPixelForValue(pt.y));
-    });
-    // Close polygon: from last point to (xMax, y=0) then back to (activationX, y=0)
     const xMax = x.getPixelForValue(options.xMax);
-    ctx.lineTo(xMax, yZero);
-    ctx.lineTo(xActivation, yZero);
-    ctx.closePath();
-    ctx.fillStyle = options.activationBackgroundColor || 'rgba(255,165,0,0.3)';
-    ctx.fill();
-    // Draw vertical dashed line at activationX.
-    ctx.beginPath();
-    ctx.setLineDash(options.activationLineDash || [4, 4]);
-    ctx.moveTo(xActivation, y.getPixelForValue(0));
-    ctx.lineTo(xActivation, y.getPixelForValue(options.yMax || 0.5));
-    ctx.strokeStyle = options.activationLineColor || 'orange';
-    ctx.lineWidth = options.activationLineWidth || 2;
-    ctx.stroke();
-    ctx.restore();
+    options.thresholds.forEach((threshold, index) => {
+      // Filter dynamic data points with x >= the threshold.
+      const regionPoints = dynamicDataset.data.filter(pt => pt.x >= threshold.value);
+      const xActivation = x.getPixelForValue(threshold.value);
+      ctx.save();
+      if (regionPoints.length > 0) {
+        // Build polygon: start at (threshold, y=0), follow the curve, then
+        // close along the axis from xMax back to the threshold.
+        ctx.beginPath();
+        ctx.moveTo(xActivation, yZero);
+        regionPoints.forEach(pt => {
+          ctx.lineTo(x.getPixelForValue(pt.x), y.getPixelForValue(pt.y));
+        });
+        ctx.lineTo(xMax, yZero);
+        ctx.lineTo(xActivation, yZero);
+        ctx.closePath();
+        ctx.fillStyle = threshold.fill;
+        ctx.fill();
+      }
+      // Vertical dashed line at the threshold, thicker when selected.
+      ctx.beginPath();
+      ctx.setLineDash([4, 4]);
+      ctx.moveTo(xActivation, yZero);
+      ctx.lineTo(xActivation, y.getPixelForValue(options.yMax || y.max));
+      ctx.strokeStyle = threshold.color;
+      ctx.lineWidth = index === options.selected ? 3 : 2;
+      ctx.stroke();
+      // Live percentage label inside the shaded area.
+      if (threshold.percentage !== undefined) {
+        ctx.setLineDash([]);
+        ctx.font = 'bold 12px Arial, sans-serif';
+        ctx.fillStyle = threshold.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(
+          `${threshold.percentage.toFixed(2)}% above`,
+          Math.min(xActivation + 4, xMax - 90),
+          yZero - 6 - 16 * index
+        );
+      }
+      ctx.restore();
+    });
   }
 };
 
 ChartJS.register(activationPlugin);
 
-const MBDistributionChart = ({ temperature, snapshots }) => {
+// Axis ranges and activation energies for each curve model. The physical
+// model uses real units; its activation energies are set in kJ/mol and
+// converted to the selected unit. The 2D classroom curve peaks at E = 0
+// and, at the bottom of the slider, twice as high as the 3D one.
+const getModelSettings = (model, energyUnit, kinetics, dimensions) => {
+  if (model === 'physical') {
+    const perKJmol = convertEnergy(1, 'kJ/mol', energyUnit);
+    return {
+      xMax: 40 * perKJmol,
+      yMax: undefined,
+      activationEnergy: kinetics.physicalEa * perKJmol,
+      catalystActivationEnergy: kinetics.physicalCatalystEa * perKJmol,
+      xTitle: `Energy (${energyUnit})`,
+      yTitle: `Number of molecules per ${energyUnit}`,
+    };
+  }
+  return {
+    xMax: 600,
+    yMax: dimensions === 2 ? 1.1 : 0.5,
+    activationEnergy: kinetics.classroomEa,
+    catalystActivationEnergy: kinetics.classroomCatalystEa,
+    xTitle: 'Energy',
+    yTitle: 'Number of molecules',
+  };
+};
+
+const MBDistributionChart = ({
+  temperature,
+  snapshots,
+  onSnapshotsChange,
+  species,
+  dimensions = 2,
+  particleSample,
+  chartSettings,
+  onChartSettingsChange,
+  reaction,
+  reactionRun,
+  recordedData,
+  onRecordedDataChange,
+  ref,
+}) => {
   const chartRef = useRef(null);
 
-  // Toggle states.
-  const [showMostProbable, setShowMostProbable] = useState(false);
-  const [showAverage, setShowAverage] = useState(false);
-  const [showActivation, setShowActivation] = useState(false);
-  const [showCatalyst, setShowCatalyst] = useState(false);
+  // Toggle states, histogram settings and the curve model are owned by App
+  // (see chartSettings.js); changes are reported as partial updates.
+  const {
+    showMostProbable,
+    showAverage,
+    showActivation,
+    showCatalyst,
+    showHistogram,
+    binWidth,
+    averagingWindow,
+    model,
+    energyUnit,
+    molarMass,
+    view,
+    logScale,
+    classroomEa,
+    classroomCatalystEa,
+    physicalEa,
+    physicalCatalystEa,
+    preExponential,
+  } = chartSettings;
+  const updateSettings = (patch) => onChartSettingsChange(patch);
+
+  // Rolling window of particle samples for the measured histogram, and the
+  // latest sample added to it.
+  const sampleHistoryRef = useRef([]);
+  const lastSampleRef = useRef(null);
 
-  // New state for recorded data.
-  const [recordedData, setRecordedData] = useState([]);
+  // Curve model: the simplified classroom preset or real units.
+  const settings = useMemo(
+    () =>
+      getModelSettings(
+        model,
+        energyUnit,
+        { classroomEa, classroomCatalystEa, physicalEa, physicalCatalystEa },
+        dimensions
+      ),
+    [
+      model,
+      energyUnit,
+      classroomEa,
+      classroomCatalystEa,
+      physicalEa,
+      physicalCatalystEa,
+      dimensions,
+    ]
+  );
 
-  // Create fixed energy array from 0 to 600.
-  // To adjust the energy range, change the value of N below.
+  // Energy grid from 0 to the axis maximum in 600 steps.
   const energies = useMemo(() => {
     const N = 600;
-    return Array.from({ length: N + 1 }, (_, i) => i);
-  }, []);
+    return Array.from({ length: N + 1 }, (_, i) => (i * settings.xMax) / N);
+  }, [settings]);
 
   // Total number of molecules.
-  const totalParticles = 50;
-
-  // Effective temperature: T_eff = 0.5*T + 50.
-  const effectiveTemperature = useCallback((T) => 0.5 * T + 50, []);
+  const totalParticles = CLASSROOM_PARTICLES;
 
-  // Sharpness parameter.
-  const sharpness = 2;
-
-  // Modified Maxwell–Boltzmann distribution function.
-  // f(E,T) = (2/√π)*(1/T_eff)^(3/2)*√E*exp(-E/T_eff)*totalParticles
-  // Using a multiplier of 0.72 for scaling.
+  // Maxwell–Boltzmann energy distribution for the selected model and
+  // number of dimensions, in molecules per unit energy.
   const mbDistribution = useCallback(
     (E, T) => {
-      const T_eff = effectiveTemperature(T);
-      if (T_eff <= 0) return 0;
-      const norm = (2 / Math.sqrt(Math.PI)) * Math.pow(sharpness / T_eff, 1.5);
-      return 0.72 * norm * Math.sqrt(E) * Math.exp(-E / T_eff) * totalParticles;
+      if (model === 'physical') {
+        return totalParticles * energyDensityFor(dimensions)(E, thermalEnergy(T, energyUnit));
+      }
+      return classroomEnergyDensity(E, T, dimensions);
     },
-    [effectiveTemperature, sharpness, totalParticles]
+    [model, energyUnit, totalParticles, dimensions]
   );
 
-  // Map temperature to a color.
-  const getColorForTemperature = useCallback((T) => {
-    const ratio = (T - 100) / (500 - 100);
-    const red = Math.round(ratio * 255);
-    const blue = Math.round((1 - ratio) * 255);
-    return `rgb(${red},0,${blue})`;
-  }, []);
+  // Most probable and average energy: exact for the physical model,
+  // read off the sampled curve for the classroom preset.
+  const getEnergyMarkers = useCallback(
+    (T) => {
+      if (model === 'physical') {
+        const stats = energyStatistics(thermalEnergy(T, energyUnit), dimensions);
+        return { mostProbable: stats.mostProbable, mean: stats.mean };
+      }
+      const dynamicData = energies.map((E) => ({ x: E, y: mbDistribution(E, T) }));
+      let maxY = -Infinity;
+      let E_mode = energies[0];
+      let sumE = 0;
+      let sumF = 0;
+      dynamicData.forEach((pt) => {
+        if (pt.y > maxY) {
+          maxY = pt.y;
+          E_mode = pt.x;
+        }
+        sumE += pt.x * pt.y;
+        sumF += pt.y;
+      });
+      return { mostProbable: E_mode, mean: sumF ? sumE / sumF : 0 };
+    },
+    [model, energyUnit, energies, mbDistribution, dimensions]
+  );
+
+  // Energy scale kT of the curve at temperature T, in the units of the axis.
+  const curveScale = (T) =>
+    model === 'physical' ? thermalEnergy(T, energyUnit) : classroomEffectiveTemperature(T);
+  const curveKT = curveScale(temperature);
+
+  // Activation thresholds drawn on the chart: the activation energy and,
+  // with the catalyst on, the lowered one. `settingKey` and `step` are in
+  // the units the value is stored in (kJ/mol for the physical model).
+  const [selectedThreshold, setSelectedThreshold] = useState(0);
+  const physical = model === 'physical';
+  const thresholds = [
+    {
+      value: settings.activationEnergy,
+      settingKey: physical ? 'physicalEa' : 'classroomEa',
+      color: 'orange',
+      fill: 'rgba(255,165,0,0.3)',
+    },
+    ...(showCatalyst
+      ? [
+          {
+            value: settings.catalystActivationEnergy,
+            settingKey: physical ? 'physicalCatalystEa' : 'classroomCatalystEa',
+            color: '#8A2BE2',
+            fill: 'rgba(138,43,226,0.25)',
+          },
+        ]
+      : []),
+  ].map((threshold) => ({
+    ...threshold,
+    step: physical ? 0.1 : 1,
+    percentage: fractionAbove(threshold.value, curveKT, dimensions) * 100,
+  }));
+  const selected = Math.min(selectedThreshold, thresholds.length - 1);
+
+  // Store a threshold given in axis units, rounded to its step.
+  const setThreshold = (threshold, value) => {
+    const stored = physical ? convertEnergy(value, energyUnit, 'kJ/mol') : value;
+    updateSettings({ [threshold.settingKey]: roundToStep(stored, threshold.step) });
+  };
+
+  // Keyboard control of the lines: ↑/↓ choose a line, ←/→ move it
+  // (Shift for ten times the step).
+  const handleThresholdKey = (e) => {
+    if (!showActivation) return;
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      setSelectedThreshold((selected + 1) % thresholds.length);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const threshold = thresholds[selected];
+      const direction = e.key === 'ArrowRight' ? 1 : -1;
+      updateSettings({
+        [threshold.settingKey]: stepThreshold(
+          chartSettings[threshold.settingKey],
+          threshold.step,
+          direction,
+          e.shiftKey
+        ),
+      });
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const activationOptions = {
+    showActivation: showActivation,
+    thresholds,
+    selected,
+    yMax: settings.yMax,
+    xMax: settings.xMax,
+    onDrag: (index, value) => setThreshold(thresholds[index], value),
+    onSelect: setSelectedThreshold,
+  };
+
+  // Snapshot colors spread over the slider range, widened to fit every
+  // temperature on the chart.
+  const colorFor = useCallback(
+    (snapshot) => snapshotColor(snapshot, [temperature, ...snapshots.map((s) => s.temperature)]),
+    [temperature, snapshots]
+  );
+
+  // Compare mode: A and B are 'current' or a snapshot id. B falls back to
+  // the newest snapshot when its snapshot is deleted.
+  const [compareState, setCompare] = useState({ enabled: false, a: 'current', b: '' });
+  const isCurve = (key) =>
+    key === 'current' || snapshots.some((s) => String(s.id) === String(key));
+  const lastSnapshotKey = snapshots.length ? String(snapshots[snapshots.length - 1].id) : 'current';
+  const compare = {
+    enabled: compareState.enabled && snapshots.length > 0,
+    a: isCurve(compareState.a) ? compareState.a : 'current',
+    b: isCurve(compareState.b) ? compareState.b : lastSnapshotKey,
+  };
+  const compareTemperature = useCallback(
+    (key) =>
+      key === 'current'
+        ? temperature
+        : snapshots.find((s) => String(s.id) === String(key)).temperature,
+    [temperature, snapshots]
+  );
+
+  // Mode, mean and percentage above the active activation energy of the
+  // curve at temperature T.
+  const describeCurve = (T) => {
+    const threshold = showCatalyst ? settings.catalystActivationEnergy : settings.activationEnergy;
+    return {
+      ...getEnergyMarkers(T),
+      percentageAbove: fractionAbove(threshold, curveScale(T), dimensions) * 100,
+    };
+  };
+
+  // Measured energies are in the sample units of the canvas (see
+  // histogram.js), stretched so the simulated kT lands on the curve's: kT in
+  // the selected unit, or the classroom T_eff. Histograms cover the area
+  // under the curve.
+  const sampleToChart = useCallback(
+    (T) =>
+      sampleToAxisScale(
+        model === 'physical' ? thermalEnergy(T, energyUnit) : classroomEffectiveTemperature(T),
+        T
+      ),
+    [model, energyUnit]
+  );
+  const curveArea = model === 'physical' ? totalParticles : CLASSROOM_AREA;
+
+  // Snapshots can keep the measured histogram, in sample energy units and
+  // covering CLASSROOM_PARTICLES (see snapshots.js). Lab
+  // scripts record data and read the values shown, in the units of the axis.
+  useImperativeHandle(ref, () => ({
+    recordData: () => handleRecordData(),
+    describe: () => {
+      const { mostProbable, mean, percentageAbove } = describeCurve(temperature);
+      const energiesNow = particleSample ? particleSample.energies : [];
+      return {
+        temperature,
+        mostProbableEnergy: mostProbable,
+        meanEnergy: mean,
+        activationEnergy: showCatalyst
+          ? settings.catalystActivationEnergy
+          : settings.activationEnergy,
+        percentageAbove,
+        measuredMeanEnergy: energiesNow.length
+          ? (energiesNow.reduce((sum, E) => sum + E, 0) / energiesNow.length) *
+            sampleToChart(temperature)
+          : null,
+      };
+    },
+    captureHistogram: () => {
+      if (sampleHistoryRef.current.length === 0) return null;
+      const histogramBinWidth = (binWidth * settings.xMax) / 600;
+      const scale = sampleToChart(temperature);
+      return buildHistogram(
+        sampleHistoryRef.current,
+        histogramBinWidth / scale,
+        settings.xMax / scale,
+        CLASSROOM_PARTICLES
+      );
+    },
+  }));
 
   // Build the dynamic (current) dataset.
   const initialDynamicDataset = {
@@ -140,46 +463,95 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
     }
   }, [temperature, energies, mbDistribution]);
 
-  // Effect 2: Update snapshot datasets when snapshots change.
+  // Effect 2: Update snapshot datasets (curves, stored histograms and the
+  // compare shading) when snapshots change.
   useEffect(() => {
     if (chartRef.current) {
-      const snapshotDatasets = snapshots.map((snapT) => ({
-        label: `T = ${snapT} K`,
-        data: energies.map((E) => ({ x: E, y: mbDistribution(E, snapT) })),
-        borderColor: getColorForTemperature(snapT),
-        fill: false,
-        tension: 0.1,
-        borderWidth: 1,
-        pointRadius: 1,
-        order: 4,
-      }));
+      const snapshotDatasets = [];
+      snapshots
+        .filter((s) => s.visible)
+        .forEach((s) => {
+          const color = colorFor(s);
+          snapshotDatasets.push({
+            label: snapshotLabel(s),
+            data: energies.map((E) => ({ x: E, y: mbDistribution(E, s.temperature) })),
+            borderColor: color,
+            fill: false,
+            tension: 0.1,
+            borderWidth: 1,
+            pointRadius: 1,
+            order: 4,
+          });
+          if (s.histogram) {
+            const scale = sampleToChart(s.temperature);
+            const heightScale = curveArea / CLASSROOM_PARTICLES / scale;
+            snapshotDatasets.push({
+              label: `${snapshotLabel(s)} (measured)`,
+              data: s.histogram.map((pt) => ({ x: pt.x * scale, y: pt.y * heightScale })),
+              borderColor: color,
+              backgroundColor: `${color}26`,
+              fill: 'origin',
+              stepped: 'after',
+              borderWidth: 1,
+              pointRadius: 0,
+              order: 4,
+            });
+          }
+        });
+      // Compare mode: curve A filled to curve B (the next dataset), green
+      // where A is above and red where B is above.
+      const compareDatasets = [];
+      if (compare.enabled) {
+        [compare.a, compare.b].forEach((key, i) => {
+          const T = compareTemperature(key);
+          compareDatasets.push({
+            label: i === 0 ? 'Compare A' : 'Compare B',
+            data: energies.map((E) => ({ x: E, y: mbDistribution(E, T) })),
+            borderColor: 'transparent',
+            fill:
+              i === 0
+                ? { target: '+1', above: 'rgba(40,167,69,0.3)', below: 'rgba(220,53,69,0.3)' }
+                : false,
+            pointRadius: 0,
+            isCompare: true,
+            order: 6,
+          });
+        });
+      }
       const dynamicDataset = chartRef.current.data.datasets[0];
+      const histogramDatasets = chartRef.current.data.datasets.filter(ds => ds.order === 3);
       const markerDatasets = chartRef.current.data.datasets.filter(ds => ds.order === 5);
-      chartRef.current.data.datasets = [dynamicDataset, ...snapshotDatasets, ...markerDatasets];
+      chartRef.current.data.datasets = [
+        dynamicDataset,
+        ...histogramDatasets,
+        ...snapshotDatasets,
+        ...markerDatasets,
+        ...compareDatasets,
+      ];
       chartRef.current.update();
     }
-  }, [snapshots, energies, mbDistribution, getColorForTemperature]);
+  }, [
+    snapshots,
+    energies,
+    mbDistribution,
+    sampleToChart,
+    curveArea,
+    colorFor,
+    compareTemperature,
+    compare.enabled,
+    compare.a,
+    compare.b,
+  ]);
 
   // Effect 3: Update marker datasets for Most Probable and Average energies.
   useEffect(() => {
     if (chartRef.current) {
-      const dynamicData = energies.map((E) => ({
-        x: E,
-        y: mbDistribution(E, temperature),
-      }));
-      let maxY = -Infinity;
-      let E_mode = energies[0];
-      dynamicData.forEach((pt) => {
-        if (pt.y > maxY) {
-          maxY = pt.y;
-          E_mode = pt.x;
-        }
-      });
+      const { mostProbable, mean } = getEnergyMarkers(temperature);
       const markers = [];
       if (showMostProbable) {
         markers.push({
           label: 'Most Probable Energy',
-          data: [{ x: E_mode, y: maxY }],
+          data: [{ x: mostProbable, y: mbDistribution(mostProbable, temperature) }],
           borderColor: 'blue',
           backgroundColor: 'blue',
           showLine: false,
@@ -190,16 +562,9 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
         });
       }
       if (showAverage) {
-        let sumE = 0;
-        let sumF = 0;
-        dynamicData.forEach((pt) => {
-          sumE += pt.x * pt.y;
-          sumF += pt.y;
-        });
-        const E_mean = sumF ? sumE / sumF : 0;
         markers.push({
           label: 'Average Energy',
-          data: [{ x: E_mean, y: mbDistribution(E_mean, temperature) }],
+          data: [{ x: mean, y: mbDistribution(mean, temperature) }],
           borderColor: 'red',
           backgroundColor: 'red',
           showLine: false,
@@ -213,56 +578,119 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
       chartRef.current.data.datasets = [...nonMarker, ...markers];
       chartRef.current.update();
     }
-  }, [showMostProbable, showAverage, temperature, energies, mbDistribution]);
+  }, [showMostProbable, showAverage, temperature, mbDistribution, getEnergyMarkers]);
 
-  // Effect 4: Activation Energy indicator and shading via the plugin.
+  // The activation thresholds reach the plugin through `options` on every
+  // render, so a dragged line and its percentage label redraw immediately.
+
+  // Effect 4: Time-averaged histogram of the energies measured in the canvas.
   useEffect(() => {
+    // A frame scrubbed from the timeline replaces the window so the
+    // histogram shows exactly the frame on screen.
+    // Other changes redraw without adding the same sample again.
+    if (particleSample && particleSample.scrubbed) {
+      sampleHistoryRef.current = [particleSample.energies];
+    } else if (particleSample && particleSample !== lastSampleRef.current) {
+      sampleHistoryRef.current = [
+        ...sampleHistoryRef.current,
+        particleSample.energies,
+      ].slice(-averagingWindow);
+    }
+    lastSampleRef.current = particleSample;
+    const scale = sampleToChart(temperature);
+    const toChartEnergy = (E) => E * scale;
+    const histogramBinWidth = (binWidth * settings.xMax) / 600;
     if (chartRef.current) {
-      chartRef.current.options.plugins.activationPlugin = {
-        showActivation: showActivation,
-        activationLineColor: 'orange',
-        activationLineDash: [4, 4],
-        activationLineWidth: 2,
-        activationBackgroundColor: 'rgba(255,165,0,0.3)',
-        yMax: 0.5,
-        // When catalyst is off, activation energy is 400; when on, 300.
-        activationX: showCatalyst ? 300 : 400,
-        xMax: 600,
-      };
-      chartRef.current.update();
+      const [dynamicDataset, ...rest] = chartRef.current.data.datasets.filter(
+        ds => ds.order !== 3
+      );
+      const histogramDatasets = [];
+      if (showHistogram && sampleHistoryRef.current.length > 0) {
+        histogramDatasets.push({
+          label: 'Measured (simulation)',
+          data: buildHistogram(
+            sampleHistoryRef.current.map((sample) => sample.map(toChartEnergy)),
+            histogramBinWidth,
+            settings.xMax,
+            curveArea
+          ),
+          borderColor: 'rgba(23,162,184,1)',
+          backgroundColor: 'rgba(23,162,184,0.25)',
+          fill: 'origin',
+          stepped: 'after',
+          borderWidth: 1,
+          pointRadius: 0,
+          order: 3,
+        });
+      }
+      chartRef.current.data.datasets = [dynamicDataset, ...histogramDatasets, ...rest];
+      chartRef.current.update('none');
     }
-  }, [showActivation, showCatalyst, temperature, energies, mbDistribution]);
+  }, [
+    particleSample,
+    showHistogram,
+    binWidth,
+    averagingWindow,
+    sampleToChart,
+    temperature,
+    settings,
+    curveArea,
+  ]);
 
   // New Function: Handle recording data.
+  // Record the exact fraction of molecules above the activation energy
+  // (the tail integral of the curve) next to the share of the particles
+  // measured above it over the averaging window, and the rate constant
+  // k = A × measured share that the Arrhenius plot fits. Rows keep T_eff
+  // on the classroom axis, the temperature its energies are scaled to.
   const handleRecordData = () => {
-    const dynamicData = energies.map((E) => ({
-      x: E,
-      y: mbDistribution(E, temperature),
-    }));
-    let maxY = -Infinity;
-    let E_mode = energies[0];
-    dynamicData.forEach((pt) => {
-      if (pt.y > maxY) {
-        maxY = pt.y;
-        E_mode = pt.x;
-      }
-    });
-    const totalArea = dynamicData.reduce((sum, pt) => sum + pt.y, 0);
-    const threshold = showCatalyst ? 300 : 400;
-    const regionArea = dynamicData
-      .filter(pt => pt.x >= threshold)
-      .reduce((sum, pt) => sum + pt.y, 0);
-    const percentageAbove = totalArea ? (regionArea / totalArea) * 100 : 0;
-    // For simplicity, we'll define rate of reaction equal to the percentageAbove.
+    const E_mode = getEnergyMarkers(temperature).mostProbable;
+    const threshold = showCatalyst
+      ? settings.catalystActivationEnergy
+      : settings.activationEnergy;
+    const percentageAbove = fractionAbove(threshold, curveKT, dimensions) * 100;
+    const measured = shareAbove(sampleHistoryRef.current, threshold / sampleToChart(temperature));
     const newRecord = {
       temperature,
-      mostProbableEnergy: E_mode,
+      ...(model === 'physical' ? {} : { effectiveTemperature: curveKT }),
+      mostProbableEnergy: Number(E_mode.toPrecision(4)),
+      energyUnit: model === 'physical' ? energyUnit : '',
+      activationEnergy: Number(threshold.toPrecision(4)),
       percentageAbove: percentageAbove.toFixed(2),
-      rateOfReaction: percentageAbove.toFixed(2)
+      measuredPercentageAbove: measured === null ? null : (measured * 100).toFixed(2),
+      rateOfReaction: measured === null ? null : Number((preExponential * measured).toPrecision(4)),
     };
-    setRecordedData(prev => [...prev, newRecord]);
+    onRecordedDataChange(prev => [...prev, newRecord]);
+  };
+
+  // Export the curve points of the current temperature and every visible
+  // snapshot, one column per curve on the shared energy grid.
+  const handleExportCurves = () => {
+    const unit = model === 'physical' ? energyUnit : 'arb. units';
+    const curves = [
+      { label: `Current T = ${temperature} K`, temperature },
+      ...snapshots
+        .filter((s) => s.visible)
+        .map((s) => ({
+          label: `Snapshot ${snapshotLabel(s)}${s.label ? ` (T = ${s.temperature} K)` : ''}`,
+          temperature: s.temperature,
+        })),
+    ];
+    const headers = [
+      `Energy (${unit})`,
+      ...curves.map((curve) => `${curve.label} (molecules per ${unit})`),
+    ];
+    const rows = energies.map((E) => [
+      E,
+      ...curves.map((curve) => mbDistribution(E, curve.temperature)),
+    ]);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`mb-curves-${date}.csv`, withBOM(toCSV(headers, rows)), CSV_MIME);
   };
 
+  // Height of the current curve at its mode.
+  const curvePeak = mbDistribution(getEnergyMarkers(temperature).mostProbable, temperature);
+
   // Chart Options.
   const options = {
     responsive: true,
@@ -273,36 +701,78 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
         type: 'linear',
         position: 'bottom',
         min: 0,
-        max: 600, // x-axis now goes up to 600.
-        title: { display: true, text: 'Energy' },
-      },
-      y: {
-        min: 0,
-        max: 0.5,
-        title: { display: true, text: 'Number of molecules' },
+        max: settings.xMax,
+        title: { display: true, text: settings.xTitle },
       },
+      // On a log axis the curve's far tail would stretch the scale, so it
+      // stops four decades below the peak.
+      y: logScale
+        ? {
+            type: 'logarithmic',
+            min: curvePeak * 1e-4,
+            max: settings.yMax,
+            title: { display: true, text: `${settings.yTitle} (log scale)` },
+          }
+        : {
+            min: 0,
+            max: settings.yMax,
+            title: { display: true, text: settings.yTitle },
+          },
     },
     plugins: {
       legend: {
         display: true,
-        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
-      },
-      activationPlugin: {
-        showActivation: showActivation,
-        activationLineColor: 'orange',
-        activationLineDash: [4, 4],
-        activationLineWidth: 2,
-        activationBackgroundColor: 'rgba(255,165,0,0.3)',
-        yMax: 0.5,
-        activationX: showCatalyst ? 300 : 400,
-        xMax: 600,
+        labels: {
+          usePointStyle: true,
+          pointStyle: 'line',
+          padding: 10,
+          // The compare shading explains itself in the snapshot panel.
+          filter: (item, data) => !data.datasets[item.datasetIndex].isCompare,
+        },
       },
+      activationPlugin: activationOptions,
     },
+    // Press and release events are needed to drag the threshold lines.
+    events: [
+      'mousemove',
+      'mouseout',
+      'mousedown',
+      'mouseup',
+      'click',
+      'touchstart',
+      'touchmove',
+      'touchend',
+    ],
   };
 
   return (
     <div style={{ position: 'relative', width: '100%' }}>
-      <div style={{ position: 'relative', width: '100%', height: '450px' }}>
+      {/* Speed, velocity and 2D energy views of the measured particles */}
+      {view !== 'energy' && (
+        <DistributionViewChart
+          view={view}
+          dimensions={dimensions}
+          species={species}
+          temperature={temperature}
+          particleSample={particleSample}
+          averagingWindow={averagingWindow}
+          logScale={logScale}
+        />
+      )}
+      {/* The curve-model chart stays mounted while another view is shown,
+          so its imperatively managed datasets survive switching back. */}
+      <div
+        tabIndex={0}
+        onKeyDown={handleThresholdKey}
+        aria-label="Energy distribution chart. Drag the activation energy lines, or use the up and down arrows to choose a line and the left and right arrows to move it."
+        style={{
+          display: view === 'energy' ? 'block' : 'none',
+          position: 'relative',
+          width: '100%',
+          height: '450px',
+          touchAction: 'pan-y',
+        }}
+      >
         <Line ref={chartRef} data={chartData} options={options} />
         {/* Toggle buttons arranged in a vertical column in the top right under the temperature key */}
         <div
@@ -316,7 +786,7 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
           }}
         >
           <button
-            onClick={() => setShowMostProbable(prev => !prev)}
+            onClick={() => updateSettings({ showMostProbable: !showMostProbable })}
             style={{
               padding: '5px 10px',
               fontSize: '12px',
@@ -330,7 +800,7 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
             Most Probable Energy
           </button>
           <button
-            onClick={() => setShowAverage(prev => !prev)}
+            onClick={() => updateSettings({ showAverage: !showAverage })}
             style={{
               padding: '5px 10px',
               fontSize: '12px',
@@ -344,7 +814,7 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
             Average Energy
           </button>
           <button
-            onClick={() => setShowActivation(prev => !prev)}
+            onClick={() => updateSettings({ showActivation: !showActivation })}
             style={{
               padding: '5px 10px',
               fontSize: '12px',
@@ -358,7 +828,7 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
             Activation Energy
           </button>
           <button
-            onClick={() => setShowCatalyst(prev => !prev)}
+            onClick={() => updateSettings({ showCatalyst: !showCatalyst })}
             style={{
               padding: '5px 10px',
               fontSize: '12px',
@@ -371,6 +841,20 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
           >
             Catalyst
           </button>
+          <button
+            onClick={() => updateSettings({ showHistogram: !showHistogram })}
+            style={{
+              padding: '5px 10px',
+              fontSize: '12px',
+              borderRadius: '4px',
+              border: '1px solid #17a2b8',
+              backgroundColor: showHistogram ? '#17a2b8' : '#fff',
+              color: showHistogram ? '#fff' : '#17a2b8',
+              cursor: 'pointer',
+            }}
+          >
+            Measured Histogram
+          </button>
           <button
             onClick={handleRecordData}
             style={{
@@ -385,31 +869,264 @@ const MBDistributionChart = ({ temperature, snapshots }) => {
           >
             Record Data
           </button>
+          <button
+            onClick={handleExportCurves}
+            style={{
+              padding: '5px 10px',
+              fontSize: '12px',
+              borderRadius: '4px',
+              border: '1px solid #6c757d',
+              backgroundColor: '#fff',
+              color: '#6c757d',
+              cursor: 'pointer',
+            }}
+          >
+            Export Curves
+          </button>
         </div>
       </div>
-      {/* Table container below the graph */}
-      <div style={{ marginTop: '20px', width: '100%' }}>
-        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-          <thead>
-            <tr>
-              <th style={{ border: '1px solid #ddd', padding: '8px' }}>Temperature (K)</th>
-              <th style={{ border: '1px solid #ddd', padding: '8px' }}>Most Probable Energy</th>
-              <th style={{ border: '1px solid #ddd', padding: '8px' }}>Percentage Above Activation</th>
-              <th style={{ border: '1px solid #ddd', padding: '8px' }}>Rate of Reaction</th>
-            </tr>
-          </thead>
-          <tbody>
-            {recordedData.map((row, index) => (
-              <tr key={index}>
-                <td style={{ border: '1px solid #ddd', padding: '8px' }}>{row.temperature}</td>
-                <td style={{ border: '1px solid #ddd', padding: '8px' }}>{row.mostProbableEnergy}</td>
-                <td style={{ border: '1px solid #ddd', padding: '8px' }}>{row.percentageAbove}%</td>
-                <td style={{ border: '1px solid #ddd', padding: '8px' }}>{row.rateOfReaction}</td>
-              </tr>
+      {/* Curve model: simplified classroom preset or physical units */}
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'center',
+          flexWrap: 'wrap',
+          gap: '20px',
+          marginTop: '10px',
+          fontSize: '14px',
+        }}
+      >
+        <label>
+          View:
+          <select
+            value={view}
+            onChange={(e) => updateSettings({ view: e.target.value })}
+            style={{ marginLeft: '10px' }}
+          >
+            {Object.entries(DISTRIBUTION_VIEWS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
             ))}
-          </tbody>
-        </table>
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={logScale}
+            onChange={(e) => updateSettings({ logScale: e.target.checked })}
+          />{' '}
+          Log scale
+        </label>
+        <label>
+          Curve:
+          <select
+            value={model}
+            onChange={(e) => updateSettings({ model: e.target.value })}
+            style={{ marginLeft: '10px' }}
+          >
+            <option value="classroom">Simplified classroom</option>
+            <option value="physical">Physically accurate</option>
+          </select>
+        </label>
+        {model === 'physical' && (
+          <>
+            <label>
+              Units:
+              <select
+                value={energyUnit}
+                onChange={(e) => updateSettings({ energyUnit: e.target.value })}
+                style={{ marginLeft: '10px' }}
+              >
+                <option value="kJ/mol">kJ/mol</option>
+                <option value="zJ">zJ per molecule</option>
+              </select>
+            </label>
+            <label>
+              Molar mass (g/mol):
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={molarMass}
+                onChange={(e) => updateSettings({ molarMass: parseFloat(e.target.value) || 1 })}
+                style={{ marginLeft: '10px', width: '60px' }}
+              />
+            </label>
+          </>
+        )}
       </div>
+      {model === 'physical' && (
+        <div style={{ marginTop: '10px', fontSize: '13px', textAlign: 'center' }}>
+          {(() => {
+            const kT = thermalEnergy(temperature, energyUnit);
+            const E = energyStatistics(kT, dimensions);
+            const v = speedStatistics(temperature, molarMass, dimensions);
+            return (
+              <>
+                <div>
+                  kT = {kT.toPrecision(4)} {energyUnit} · E<sub>mp</sub> ={' '}
+                  {E.mostProbable.toPrecision(4)} · ⟨E⟩ = {E.mean.toPrecision(4)} ·
+                  E<sub>rms</sub> = {E.rms.toPrecision(4)} {energyUnit}
+                </div>
+                <div>
+                  v<sub>mp</sub> = {v.mostProbable.toFixed(0)} · ⟨v⟩ ={' '}
+                  {v.mean.toFixed(0)} · v<sub>rms</sub> = {v.rms.toFixed(0)} m/s
+                </div>
+              </>
+            );
+          })()}
+        </div>
+      )}
+      {/* Equipartition: kT/2 per degree of freedom for the particles */}
+      <div style={{ marginTop: '10px', fontSize: '13px', textAlign: 'center' }}>
+        {(() => {
+          const { baseSpeedFactor } = DEFAULT_OPTIONS;
+          const kT = simulationThermalEnergy(temperature, baseSpeedFactor) / baseSpeedFactor ** 2;
+          const energiesNow = particleSample ? particleSample.energies : [];
+          const measured = energiesNow.length
+            ? energiesNow.reduce((sum, E) => sum + E, 0) / energiesNow.length
+            : null;
+          return (
+            <>
+              Equipartition ({dimensions}D): ⟨E⟩ = {dimensions}/2 · kT ={' '}
+              {((dimensions / 2) * kT).toFixed(1)} energy units per particle
+              {measured !== null && ` · measured ${measured.toFixed(1)}`}
+            </>
+          );
+        })()}
+      </div>
+      {/* Kinetics: activation energies and the Arrhenius pre-exponential factor */}
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'center',
+          flexWrap: 'wrap',
+          gap: '20px',
+          marginTop: '10px',
+          fontSize: '14px',
+        }}
+      >
+        <label>
+          E<sub>a</sub> ({model === 'physical' ? 'kJ/mol' : 'energy units'}):
+          <input
+            type="number"
+            min="0"
+            step={model === 'physical' ? 1 : 10}
+            value={model === 'physical' ? physicalEa : classroomEa}
+            onChange={(e) =>
+              updateSettings({
+                [model === 'physical' ? 'physicalEa' : 'classroomEa']:
+                  Math.max(0, parseFloat(e.target.value) || 0),
+              })
+            }
+            style={{ marginLeft: '10px', width: '60px' }}
+          />
+        </label>
+        <label>
+          Catalyst E<sub>a</sub>:
+          <input
+            type="number"
+            min="0"
+            step={model === 'physical' ? 1 : 10}
+            value={model === 'physical' ? physicalCatalystEa : classroomCatalystEa}
+            onChange={(e) =>
+              updateSettings({
+                [model === 'physical' ? 'physicalCatalystEa' : 'classroomCatalystEa']:
+                  Math.max(0, parseFloat(e.target.value) || 0),
+              })
+            }
+            style={{ marginLeft: '10px', width: '60px' }}
+          />
+        </label>
+        <label>
+          Pre-exponential factor A:
+          <input
+            type="number"
+            min="0"
+            value={preExponential}
+            onChange={(e) => updateSettings({ preExponential: parseFloat(e.target.value) || 1 })}
+            style={{ marginLeft: '10px', width: '80px' }}
+          />
+        </label>
+      </div>
+      {/* Histogram controls: bin width and averaging window */}
+      {showHistogram && (
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'center',
+            gap: '20px',
+            marginTop: '10px',
+            fontSize: '14px',
+          }}
+        >
+          <label>
+            Bin width: {((binWidth * settings.xMax) / 600).toPrecision(3)}
+            <input
+              type="range"
+              min="5"
+              max="100"
+              step="5"
+              value={binWidth}
+              onChange={(e) => updateSettings({ binWidth: parseFloat(e.target.value) })}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+          <label>
+            Averaging window: {averagingWindow} samples
+            <input
+              type="range"
+              min="1"
+              max="200"
+              step="1"
+              value={averagingWindow}
+              onChange={(e) => updateSettings({ averagingWindow: parseInt(e.target.value, 10) })}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+        </div>
+      )}
+      {showHistogram && !physical && (
+        <div style={{ marginTop: '6px', fontSize: '13px', color: '#555' }}>
+          The classroom curve uses T_eff = 0.5·T + 50, so the measured energies are rescaled to
+          put the simulated kT on T_eff. The physical model shows them in real units.
+        </div>
+      )}
+      {/* Saved curves: show/hide, rename, pin colors and compare */}
+      <SnapshotPanel
+        snapshots={snapshots}
+        onChange={onSnapshotsChange}
+        temperature={temperature}
+        colorFor={colorFor}
+        compare={compare}
+        onCompareChange={setCompare}
+        describeCurve={describeCurve}
+        unit={model === 'physical' ? energyUnit : 'energy units'}
+      />
+      {/* Reactant and product counts over time in reaction mode */}
+      {reaction && reaction.enabled && (
+        <ConcentrationChart
+          species={species}
+          particleSample={particleSample}
+          reactant={reaction.reactant}
+          runId={reactionRun}
+        />
+      )}
+      {/* Per-species speed distributions for gas mixtures */}
+      {species && species.length > 1 && (
+        <SpeedDistributionChart
+          species={species}
+          dimensions={dimensions}
+          temperature={temperature}
+          particleSample={particleSample}
+          averagingWindow={averagingWindow}
+        />
+      )}
+      {/* Table container below the graph */}
+      <RecordedDataTable rows={recordedData} onChange={onRecordedDataChange} />
+      {/* ln k against 1/T from the recorded rows */}
+      <ArrheniusPlot rows={recordedData} />
     </div>
   );
 };
@@ -0,0 +1,87 @@
+import React from 'react';
+import { DEFAULT_OPTIONS, MIN_BOX_WIDTH } from '../simulation/engine';
+
+const { baseSpeedFactor } = DEFAULT_OPTIONS;
+
+// Piston controls: drive the box's right wall in or out at a set speed (or
+// drag it on the canvas), and choose whether the gas keeps its temperature
+// through the thermostat (isothermal) or is insulated (adiabatic).
+// `piston` is null until first used, then { target, speed } as sent to the
+// engine; `sample` is the latest particle sample from the canvas, and
+// `boxWidth` the width of the box with the piston fully out.
+const PistonPanel = ({
+  piston,
+  onChange,
+  thermostat,
+  onThermostatChange,
+  sample,
+  boxWidth = DEFAULT_OPTIONS.width,
+}) => {
+  const speed = piston ? piston.speed : 1;
+  const drive = (target) => onChange({ target, speed });
+  const position = sample && sample.box ? sample.box.width : boxWidth;
+  // Work in chart energy units, like the particle energies.
+  const work = sample && sample.pistonWork ? sample.pistonWork / baseSpeedFactor ** 2 : 0;
+  const adiabatic = thermostat === 'none';
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <strong>Piston</strong>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', margin: '8px 0' }}>
+        <button onClick={() => drive(MIN_BOX_WIDTH)}>Compress</button>
+        <button onClick={() => drive(boxWidth)}>Expand</button>
+        <button onClick={() => drive(null)} disabled={!piston || piston.target === null}>
+          Stop
+        </button>
+        <label>
+          Process:
+          <select
+            value={adiabatic ? 'adiabatic' : 'isothermal'}
+            onChange={(e) =>
+              onThermostatChange(e.target.value === 'adiabatic' ? 'none' : 'berendsen')
+            }
+            style={{ marginLeft: '6px' }}
+          >
+            <option value="isothermal">Isothermal (thermostat on)</option>
+            <option value="adiabatic">Adiabatic (insulated)</option>
+          </select>
+        </label>
+      </div>
+      <label style={{ display: 'block', marginBottom: '8px' }}>
+        Speed: {speed.toFixed(1)} px/frame
+        <input
+          type="range"
+          min="0.1"
+          max="5"
+          step="0.1"
+          value={speed}
+          onChange={(e) =>
+            onChange({ target: piston ? piston.target : null, speed: parseFloat(e.target.value) })
+          }
+          style={{ marginLeft: '10px' }}
+        />
+      </label>
+      <div style={{ fontSize: '13px' }}>
+        Box width: {position.toFixed(0)} px (V / V₀ = {(position / boxWidth).toFixed(2)}) ·
+        Work done on the gas: {work >= 0 ? '+' : ''}
+        {work.toFixed(1)} energy units
+      </div>
+      <div style={{ fontSize: '13px', color: '#555', marginTop: '4px' }}>
+        Drag the right wall of the box to move it; it follows at the set speed. Slow moves stay
+        close to the reversible curves on the P–V diagram.
+      </div>
+    </div>
+  );
+};
+
+export default PistonPanel;
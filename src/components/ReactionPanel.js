@@ -0,0 +1,115 @@
+import React from 'react';
+import { createSpecies } from '../simulation/engine';
+
+// A mixture ready for A → B: all reactant, no product yet.
+const REACTION_MIXTURE = [
+  createSpecies({ name: 'A', color: '#e0603a', count: 100 }),
+  createSpecies({ name: 'B', color: '#2ca25f', count: 0 }),
+];
+
+// Reaction mode controls: which species react into which, the heat of
+// reaction and the catalyst. The activation energy is the one set on the
+// chart, so the shaded area and the simulation use the same threshold.
+const ReactionPanel = ({
+  reaction,
+  species,
+  activationEnergy,
+  catalyst,
+  onChange,
+  onCatalystChange,
+  onSpeciesChange,
+  onRestart,
+}) => {
+  const update = (patch) => onChange({ ...reaction, ...patch });
+  const speciesOptions = species.map((s, index) => (
+    <option key={index} value={index}>
+      {s.name}
+    </option>
+  ));
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <label>
+          <input
+            type="checkbox"
+            checked={reaction.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />{' '}
+          <strong>Reactions</strong>
+        </label>
+        <button onClick={() => onSpeciesChange(REACTION_MIXTURE)}>Load A → B mixture</button>
+      </div>
+      {reaction.enabled && (
+        <>
+          {species.length < 2 && (
+            <div style={{ color: '#DC3545', marginBottom: '8px' }}>
+              Add a product species to the mixture.
+            </div>
+          )}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '8px' }}>
+            <label>
+              Reactant:
+              <select
+                value={reaction.reactant}
+                onChange={(e) => update({ reactant: parseInt(e.target.value, 10) })}
+                style={{ marginLeft: '6px' }}
+              >
+                {speciesOptions}
+              </select>
+            </label>
+            <label>
+              Product:
+              <select
+                value={reaction.product}
+                onChange={(e) => update({ product: parseInt(e.target.value, 10) })}
+                style={{ marginLeft: '6px' }}
+              >
+                {speciesOptions}
+              </select>
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={catalyst}
+                onChange={(e) => onCatalystChange(e.target.checked)}
+              />{' '}
+              Catalyst
+            </label>
+            <button onClick={onRestart}>Restart</button>
+          </div>
+          <label style={{ display: 'block', marginBottom: '8px' }}>
+            Heat released: {reaction.heat > 0 ? '+' : ''}
+            {reaction.heat} ({reaction.heat >= 0 ? 'exothermic' : 'endothermic'})
+            <input
+              type="range"
+              min="-200"
+              max="200"
+              step="10"
+              value={reaction.heat}
+              onChange={(e) => update({ heat: parseFloat(e.target.value) })}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+          <div style={{ fontSize: '13px', color: '#555' }}>
+            A collision reacts when its energy along the line of centers is at least E
+            <sub>a</sub> = {activationEnergy} (chart energy units)
+            {catalyst ? ', lowered by the catalyst' : ''}.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReactionPanel;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { CSV_MIME, toCSV, withBOM } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+
+// Columns of the Record Data table with their units. The energy unit is
+// stored per row since it depends on the chart model at recording time.
+// The rate constant is A times the measured share of particles above the
+// activation energy; rows recorded before it was measured hold the
+// Arrhenius-equation value and no measured percentage.
+const COLUMNS = [
+  { key: 'temperature', label: 'Temperature', unit: 'K' },
+  { key: 'mostProbableEnergy', label: 'Most Probable Energy' },
+  { key: 'activationEnergy', label: 'Activation Energy' },
+  { key: 'percentageAbove', label: 'Percentage Above Activation', unit: '%' },
+  { key: 'measuredPercentageAbove', label: 'Measured Percentage Above', unit: '%' },
+  { key: 'rateOfReaction', label: 'Rate Constant k', unit: 'units of A' },
+];
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px' };
+const actionStyle = {
+  padding: '5px 10px',
+  fontSize: '12px',
+  borderRadius: '4px',
+  border: '1px solid #6c757d',
+  backgroundColor: '#fff',
+  color: '#6c757d',
+  cursor: 'pointer',
+};
+
+// Export recorded rows as CSV, with units in the headers and the energy
+// unit of each row in its own column.
+export const recordedDataToCSV = (rows) =>
+  toCSV(
+    [
+      'Temperature (K)',
+      'Most Probable Energy',
+      'Activation Energy',
+      'Energy unit',
+      'Percentage Above Activation (%)',
+      'Measured Percentage Above (%)',
+      'Rate Constant k (units of A)',
+    ],
+    rows.map((row) => [
+      row.temperature,
+      row.mostProbableEnergy,
+      row.activationEnergy ?? '',
+      row.energyUnit || 'arb. units',
+      row.percentageAbove,
+      row.measuredPercentageAbove ?? '',
+      row.rateOfReaction ?? '',
+    ])
+  );
+
+// Rows in display order, each with its index in `rows`. Sorting only
+// changes what is shown; the recorded rows keep the order they were taken
+// in. Rows without a value in the column (e.g. recorded before activation
+// energies were stored) go last in either direction.
+export const sortRows = (rows, sort) => {
+  const entries = rows.map((row, index) => ({ row, index }));
+  if (!sort) return entries;
+  const sign = sort.direction === 'asc' ? 1 : -1;
+  const value = ({ row }) => (row[sort.key] == null ? NaN : Number(row[sort.key]));
+  return entries.sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      return Number.isNaN(x) - Number.isNaN(y) || a.index - b.index;
+    }
+    return sign * (x - y) || a.index - b.index;
+  });
+};
+
+// The Record Data table with per-row delete, clear, sorting by any column
+// (click a header; click again to reverse) and CSV export.
+const RecordedDataTable = ({ rows, onChange }) => {
+  const [sort, setSort] = useState(null);
+
+  const sortBy = (key) => {
+    const direction = sort && sort.key === key && sort.direction === 'asc' ? 'desc' : 'asc';
+    setSort({ key, direction });
+  };
+
+  const handleClear = () => {
+    if (rows.length > 0 && window.confirm('Delete all recorded rows?')) {
+      onChange([]);
+      setSort(null);
+    }
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`mb-recorded-data-${date}.csv`, withBOM(recordedDataToCSV(rows)), CSV_MIME);
+  };
+
+  return (
+    <div style={{ marginTop: '20px', width: '100%' }}>
+      <div style={{ display: 'flex', gap: '5px', justifyContent: 'flex-end', marginBottom: '5px' }}>
+        <button onClick={handleExport} disabled={rows.length === 0} style={actionStyle}>
+          Export CSV
+        </button>
+        <button onClick={handleClear} disabled={rows.length === 0} style={actionStyle}>
+          Clear
+        </button>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            {COLUMNS.map((column) => (
+              <th
+                key={column.key}
+                onClick={() => sortBy(column.key)}
+                style={{ ...cellStyle, cursor: 'pointer' }}
+                title="Sort by this column"
+              >
+                {column.label}
+                {column.unit ? ` (${column.unit})` : ''}
+                {sort && sort.key === column.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+              </th>
+            ))}
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sortRows(rows, sort).map(({ row, index }) => (
+            <tr key={index}>
+              <td style={cellStyle}>{row.temperature}</td>
+              <td style={cellStyle}>
+                {row.mostProbableEnergy}
+                {row.energyUnit ? ` ${row.energyUnit}` : ''}
+              </td>
+              <td style={cellStyle}>
+                {row.activationEnergy ?? ''}
+                {row.activationEnergy != null && row.energyUnit ? ` ${row.energyUnit}` : ''}
+              </td>
+              <td style={cellStyle}>{row.percentageAbove}%</td>
+              <td style={cellStyle}>
+                {row.measuredPercentageAbove != null ? `${row.measuredPercentageAbove}%` : ''}
+              </td>
+              <td style={cellStyle}>{row.rateOfReaction ?? ''}</td>
+              <td style={cellStyle}>
+                <button
+                  onClick={() => onChange((prev) => prev.filter((_, i) => i !== index))}
+                  title="Delete row"
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RecordedDataTable;
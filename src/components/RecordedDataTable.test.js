@@ -0,0 +1,50 @@
+import { recordedDataToCSV, sortRows } from './RecordedDataTable';
+
+const rows = [
+  {
+    temperature: 400,
+    mostProbableEnergy: '200.00',
+    activationEnergy: 500,
+    energyUnit: 'kJ/mol',
+    percentageAbove: '12.30',
+    measuredPercentageAbove: '11.90',
+    rateOfReaction: 0.119,
+  },
+  // Recorded before activation energies, units and measurements were stored.
+  {
+    temperature: 300,
+    mostProbableEnergy: '150.00',
+    percentageAbove: '5.10',
+    rateOfReaction: '0.02',
+  },
+  {
+    temperature: 500,
+    mostProbableEnergy: '250.00',
+    activationEnergy: 300,
+    energyUnit: 'kJ/mol',
+    percentageAbove: '30.00',
+    measuredPercentageAbove: '31.20',
+    rateOfReaction: 0.312,
+  },
+];
+
+test('exports recorded rows in the order they were taken, with units and blanks', () => {
+  expect(recordedDataToCSV(rows)).toBe(
+    'Temperature (K),Most Probable Energy,Activation Energy,Energy unit,' +
+      'Percentage Above Activation (%),Measured Percentage Above (%),' +
+      'Rate Constant k (units of A)\r\n' +
+      '400,200.00,500,kJ/mol,12.30,11.90,0.119\r\n' +
+      '300,150.00,,arb. units,5.10,,0.02\r\n' +
+      '500,250.00,300,kJ/mol,30.00,31.20,0.312\r\n'
+  );
+});
+
+test('sorts a copy for display and puts rows without a value last', () => {
+  const order = (sort) => sortRows(rows, sort).map(({ index }) => index);
+  expect(order(null)).toEqual([0, 1, 2]);
+  expect(order({ key: 'temperature', direction: 'asc' })).toEqual([1, 0, 2]);
+  expect(order({ key: 'temperature', direction: 'desc' })).toEqual([2, 0, 1]);
+  expect(order({ key: 'activationEnergy', direction: 'asc' })).toEqual([2, 0, 1]);
+  expect(order({ key: 'activationEnergy', direction: 'desc' })).toEqual([0, 2, 1]);
+  expect(rows.map((row) => row.temperature)).toEqual([400, 300, 500]);
+});
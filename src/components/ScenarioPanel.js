@@ -0,0 +1,115 @@
+import React from 'react';
+import { createSpecies, DEFAULT_OPTIONS } from '../simulation/engine';
+import { createPartition } from '../simulation/chambers';
+
+// Two-chamber experiments: the gas or gases to load, and the partition.
+export const SCENARIOS = {
+  freeExpansion: {
+    label: 'Free expansion',
+    hint: 'Remove the partition and watch the gas fill the box.',
+    species: [createSpecies({ name: 'Gas', count: 80, side: 'left' })],
+    partition: createPartition(),
+  },
+  mixing: {
+    label: 'Mixing two gases',
+    hint: 'Remove the partition, or open a hole, and watch the gases mix.',
+    species: [
+      createSpecies({ name: 'A', mass: 1, radius: 4, color: '#6496fa', count: 50, side: 'left' }),
+      createSpecies({ name: 'B', mass: 4, radius: 6, color: '#e0603a', count: 50, side: 'right' }),
+    ],
+    partition: createPartition(),
+  },
+  effusion: {
+    label: "Effusion (Graham's law)",
+    hint: 'Both gases leak through the hole; the lighter one escapes faster, as 1/√m.',
+    species: [
+      createSpecies({ name: 'Light', mass: 1, radius: 2, color: '#6496fa', count: 100 }),
+      createSpecies({ name: 'Heavy', mass: 4, radius: 2, color: '#e0603a', count: 100 }),
+    ].map((s) => ({ ...s, side: 'left' })),
+    partition: createPartition({ hole: 30 }),
+  },
+};
+
+// Scenario builder: load a two-chamber experiment, then remove the
+// partition, move it, or change the size of the hole in it. `scenario` is
+// the key of the experiment last loaded; `box` the size of the box.
+const ScenarioPanel = ({
+  scenario,
+  partition,
+  onPartitionChange,
+  onLoad,
+  box = { width: DEFAULT_OPTIONS.width, height: DEFAULT_OPTIONS.height },
+}) => {
+  const update = (patch) => onPartitionChange({ ...partition, ...patch });
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <strong>Two chambers</strong>
+        <select value="" onChange={(e) => e.target.value && onLoad(e.target.value)}>
+          <option value="">Load experiment…</option>
+          {Object.entries(SCENARIOS).map(([key, { label }]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {partition ? (
+        <>
+          {SCENARIOS[scenario] && (
+            <div style={{ fontSize: '13px', color: '#555', marginBottom: '8px' }}>
+              {SCENARIOS[scenario].hint}
+            </div>
+          )}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '8px' }}>
+            <button onClick={() => update({ open: !partition.open })}>
+              {partition.open ? 'Put the partition back' : 'Remove the partition'}
+            </button>
+            <button onClick={() => onPartitionChange(null)}>No partition</button>
+          </div>
+          <label style={{ display: 'block', marginBottom: '8px' }}>
+            Hole: {partition.hole} px
+            <input
+              type="range"
+              min="0"
+              max={box.height}
+              step="2"
+              value={partition.hole}
+              onChange={(e) => update({ hole: parseInt(e.target.value, 10) })}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+          <label style={{ display: 'block' }}>
+            Position: {partition.position} px
+            <input
+              type="range"
+              min={box.width / 4}
+              max={(3 * box.width) / 4}
+              step="10"
+              value={partition.position}
+              onChange={(e) => update({ position: parseInt(e.target.value, 10) })}
+              style={{ marginLeft: '10px' }}
+            />
+          </label>
+        </>
+      ) : (
+        <div style={{ color: '#555' }}>
+          Load an experiment to split the box in two with a partition.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,76 @@
+import React, { useRef, useState } from 'react';
+import { parseSession, serializeSession } from '../session/session';
+import { downloadFile, readFileAsText } from '../utils/download';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  fontSize: '16px',
+  borderRadius: '4px',
+  border: '1px solid #007BFF',
+  backgroundColor: '#fff',
+  color: '#007BFF',
+  cursor: 'pointer',
+};
+
+// Save/Load buttons for experiment session files. `buildSession` returns
+// (a promise of) the session to save; `onLoad` receives a validated one.
+const SessionControls = ({ buildSession, onLoad, initialMessage = null }) => {
+  const fileInputRef = useRef(null);
+  const [includeParticles, setIncludeParticles] = useState(false);
+  const [message, setMessage] = useState(initialMessage);
+
+  const handleSave = async () => {
+    const session = await buildSession(includeParticles);
+    const date = session.savedAt.slice(0, 10);
+    downloadFile(`mb-session-${date}.json`, serializeSession(session), 'application/json');
+    setMessage({ type: 'info', text: 'Session saved.' });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const session = parseSession(await readFileAsText(file));
+      onLoad(session);
+      setMessage({ type: 'info', text: `Loaded ${file.name}.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Could not load ${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+      <button onClick={handleSave} style={buttonStyle}>
+        Save session
+      </button>
+      <button onClick={() => fileInputRef.current.click()} style={buttonStyle}>
+        Load session
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+      />
+      <label style={{ fontSize: '14px' }}>
+        <input
+          type="checkbox"
+          checked={includeParticles}
+          onChange={(e) => setIncludeParticles(e.target.checked)}
+        />{' '}
+        Include particles
+      </label>
+      {message && (
+        <span
+          style={{ fontSize: '14px', color: message.type === 'error' ? '#DC3545' : '#28a745' }}
+        >
+          {message.text}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SessionControls;
@@ -1,65 +1,606 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useCallback, useRef, useEffect, useImperativeHandle, useState } from 'react';
+import { DEFAULT_OPTIONS, MIN_BOX_WIDTH } from '../simulation/engine';
+import { createSimulationClient } from '../simulation/client';
+import { FRAME_SECONDS, FRAME_STRIDE } from '../simulation/host';
+import { createRingBuffer } from '../simulation/ringBuffer';
+import {
+  ACTIVATED_COLOR,
+  COLOR_MODES,
+  COLOR_STEPS,
+  colorScale,
+  FAST_DRAW_COUNT,
+  INACTIVE_COLOR,
+  scaleColor,
+} from './renderModes';
+import { temperatureColor, TEMPERATURE_RANGE } from './snapshots';
 
-const SimulationCanvas = ({ temperature }) => {
+// Simulation speeds offered in the controls (multiples of real time).
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Recorded history: up to 20 s of frames, fewer for large particle counts
+// so the buffer stays within about 32 MB.
+const MAX_HISTORY_FRAMES = 1200;
+const HISTORY_BUDGET_BYTES = 32 * 1024 * 1024;
+const historyCapacity = (count) =>
+  Math.max(
+    60,
+    Math.min(
+      MAX_HISTORY_FRAMES,
+      Math.floor(HISTORY_BUDGET_BYTES / (Math.max(count, 1) * FRAME_STRIDE * 4))
+    )
+  );
+
+const { baseSpeedFactor } = DEFAULT_OPTIONS;
+
+// The canvas fills the width of its container, keeping the box's aspect
+// ratio, but grows no taller than this (CSS pixels). Drawing is in
+// simulation units (the box's "pixels"), scaled to the canvas and sharpened
+// for the device pixel ratio, so the physics never depends on the screen.
+export const MAX_CANVAS_HEIGHT = 600;
+
+// A 3D box is drawn in perspective from in front of its z = 0 face, which
+// fills the canvas; with the camera 1.5 box depths away the back face is
+// drawn at 60% scale. `box` is { width, height, depth }.
+const CAMERA_DISTANCE = 1.5;
+const project = (x, y, z, box) => {
+  const scale = (CAMERA_DISTANCE * box.depth) / (CAMERA_DISTANCE * box.depth + z);
+  return {
+    x: box.width / 2 + (x - box.width / 2) * scale,
+    y: box.height / 2 + (y - box.height / 2) * scale,
+    scale,
+  };
+};
+
+// The piston is the box's right wall; it can be grabbed within this many
+// pixels.
+const PISTON_GRAB = 10;
+
+// Draw the piston at x = position and shade the space it has closed off.
+// In 3D the wall is drawn across the depth of the box.
+const drawPiston = (ctx, position, box, threeD) => {
+  const { width, height, depth } = box;
+  ctx.fillStyle = '#d5d9df';
+  ctx.fillRect(position, 0, width - position, height);
+  if (threeD) {
+    const corners = [
+      project(position, 0, 0, box),
+      project(position, height, 0, box),
+      project(position, height, depth, box),
+      project(position, 0, depth, box),
+    ];
+    ctx.fillStyle = 'rgba(85,85,85,0.15)';
+    ctx.beginPath();
+    corners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.fillStyle = '#555';
+  ctx.fillRect(position, 0, 4, height);
+};
+
+// Internal wall with its slit, on the front face of the box. An open
+// (removed) partition is not drawn.
+const drawPartition = (ctx, partition, height) => {
+  if (!partition || partition.open) return;
+  const top = (height - partition.hole) / 2;
+  ctx.strokeStyle = '#555';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(partition.position, 0);
+  ctx.lineTo(partition.position, top);
+  ctx.moveTo(partition.position, top + partition.hole);
+  ctx.lineTo(partition.position, height);
+  ctx.stroke();
+  ctx.lineWidth = 1;
+};
+
+// Trail of the tagged particle: up to three seconds of positions.
+const TRAIL_FRAMES = 180;
+
+// Velocity arrows show where a particle would be this many frames on.
+const ARROW_FRAMES = 4;
+
+// How each thermostat changes the kinetic energy, for the ledger heading,
+// and the ledger entries for work done on the gas in any mode.
+const THERMOSTAT_STATUS = {
+  rescale: 'Speeds rescaled to the set temperature every frame',
+  berendsen: 'Relaxing towards the set temperature (Berendsen coupling)',
+  andersen: 'Exchanging energy with a heat bath (Andersen collisions)',
+  heatBath: 'Exchanging energy with the heat-bath walls',
+};
+const WORK_TERMS = {
+  piston: 'piston work',
+  gravity: 'work by gravity',
+  reaction: 'reaction heat',
+};
+
+// Arrow from (x, y) to (toX, toY) with a small head.
+const drawArrow = (ctx, x, y, toX, toY) => {
+  const angle = Math.atan2(toY - y, toX - x);
+  const head = Math.min(5, Math.hypot(toX - x, toY - y) / 2);
+  ctx.moveTo(x, y);
+  ctx.lineTo(toX, toY);
+  ctx.lineTo(toX - head * Math.cos(angle - 0.5), toY - head * Math.sin(angle - 0.5));
+  ctx.moveTo(toX, toY);
+  ctx.lineTo(toX - head * Math.cos(angle + 0.5), toY - head * Math.sin(angle + 0.5));
+};
+
+// Edges of the box going back from the front face.
+const drawBoxDepth = (ctx, box) => {
+  const { width, height, depth } = box;
+  const corners = [
+    [0, 0],
+    [width, 0],
+    [width, height],
+    [0, height],
+  ];
+  const back = corners.map(([x, y]) => project(x, y, depth, box));
+  ctx.strokeStyle = '#ccc';
+  ctx.beginPath();
+  back.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  ctx.closePath();
+  corners.forEach(([x, y], i) => {
+    ctx.moveTo(x, y);
+    ctx.lineTo(back[i].x, back[i].y);
+  });
+  ctx.stroke();
+};
+
+// Measured speeds, energies and velocity components (in px/frame) of a
+// frame, as shared with the charts, plus what the pressure readouts need:
+// the particle radii, total kinetic energy, momentum given to the walls so
+// far and the box size; and for the tracer, the collision totals, each
+// particle's collision count and the collision events since the previous
+// sample, with the number the engine's log had to drop.
+// Energies are in chart units: the thermostat maps T to a mean speed of
+// baseSpeedFactor * sqrt(T / m), so m * (speed / baseSpeedFactor)^2 acts
+// as a per-particle temperature and E = 0.5 * m * (speed / baseSpeedFactor)^2.
+// `scrubbed` marks a frame replayed from history rather than a live one.
+const frameSample = (frame, scrubbed, collisionEvents = [], droppedCollisionEvents = 0) => {
+  const { data } = frame;
+  const speeds = [];
+  const energies = [];
+  const vx = [];
+  const vy = [];
+  const vz = [];
+  const x = [];
+  const y = [];
+  const radii = [];
+  for (let o = 0; o < data.length; o += FRAME_STRIDE) {
+    const v = Math.hypot(data[o + 2], data[o + 3], data[o + 7]);
+    speeds.push(v);
+    energies.push(0.5 * data[o + 5] * Math.pow(v / baseSpeedFactor, 2));
+    vx.push(data[o + 2]);
+    vy.push(data[o + 3]);
+    vz.push(data[o + 7]);
+    x.push(data[o]);
+    y.push(data[o + 1]);
+    radii.push(data[o + 4]);
+  }
+  return {
+    speeds,
+    energies,
+    vx,
+    vy,
+    vz,
+    x,
+    y,
+    radii,
+    kineticEnergy: frame.ledger.kineticEnergy,
+    pistonWork: frame.ledger.piston,
+    wallImpulse: frame.wallImpulse,
+    box: { width: frame.width, height: frame.height, depth: frame.depth },
+    partition: frame.partition || null,
+    gravity: frame.gravity || 0,
+    collisionStats: frame.collisionStats,
+    collisions: frame.collisions ? Array.from(frame.collisions) : null,
+    collisionEvents,
+    droppedCollisionEvents,
+    dimensions: frame.dimensions,
+    species: Array.from(frame.species),
+    time: frame.time,
+    scrubbed,
+  };
+};
+
+const SimulationCanvas = ({
+  temperature,
+  species,
+  thermostat = 'berendsen',
+  restitution = 1,
+  gravity = 0,
+  dimensions = 2,
+  box = { width: DEFAULT_OPTIONS.width, height: DEFAULT_OPTIONS.height },
+  reaction = null,
+  piston = null,
+  onPistonDrag,
+  partition = null,
+  tagged = null,
+  onTag,
+  restoreState = null,
+  activationEnergy = null,
+  onSample,
+  sampleInterval = 6,
+  ref,
+}) => {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const tempRef = useRef(temperature);
+  const onSampleRef = useRef(onSample);
+  const speciesRef = useRef(species);
+  const frameCountRef = useRef(0);
+
+  // The physics runs in a Web Worker on a fixed timestep; this component
+  // only interpolates between the last two frames it received and draws.
+  const clientRef = useRef(null);
+  const prevFrameRef = useRef(null);
+  const currFrameRef = useRef(null);
+
+  // Ring buffer of received frames for rewinding and scrubbing.
+  const historyRef = useRef(null);
 
-  // Update temperature ref when temperature changes.
+  // Tagged particle (an index into the frame) and its recent positions,
+  // and the collision events received since the last sample.
+  const taggedRef = useRef(tagged);
+  const onTagRef = useRef(onTag);
+  const trailRef = useRef([]);
+  const eventsRef = useRef({ events: [], dropped: 0 });
+
+  // Energy bookkeeping shown under the canvas, and playback state.
+  // scrubIndex is the history frame on screen, or null for the live frame.
+  const [energyLedger, setEnergyLedger] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [scrubIndex, setScrubIndex] = useState(null);
+  const [historySize, setHistorySize] = useState(0);
+  const [displayTime, setDisplayTime] = useState(0);
+
+  // Render mode: particle colors (see renderModes.js), velocity arrows and
+  // batched drawing without gradients. The draw loop reads them, and the
+  // activation energy to highlight, through renderRef.
+  const [colorMode, setColorMode] = useState('species');
+  const [showArrows, setShowArrows] = useState(false);
+  const [fastDraw, setFastDraw] = useState(false);
+  const renderRef = useRef({ colorMode, showArrows, fastDraw, activationEnergy });
   useEffect(() => {
-    tempRef.current = temperature;
+    renderRef.current = { colorMode, showArrows, fastDraw, activationEnergy };
+  }, [colorMode, showArrows, fastDraw, activationEnergy]);
+
+  // Keep the latest sample callback without restarting the animation loop.
+  useEffect(() => {
+    onSampleRef.current = onSample;
+  }, [onSample]);
+
+  useEffect(() => {
+    speciesRef.current = species;
+  }, [species]);
+
+  useEffect(() => {
+    onTagRef.current = onTag;
+  }, [onTag]);
+
+  useEffect(() => {
+    taggedRef.current = tagged;
+    trailRef.current = [];
+  }, [tagged]);
+
+  // Latest engine settings, read when the simulation (re)starts; the
+  // effects further down send changes to the running one.
+  const engineOptionsRef = useRef(null);
+  useEffect(() => {
+    engineOptionsRef.current = {
+      temperature,
+      thermostat,
+      restitution,
+      gravity,
+      dimensions,
+      width: box.width,
+      height: box.height,
+      reaction,
+    };
+  }, [temperature, thermostat, restitution, gravity, dimensions, box.width, box.height, reaction]);
+
+  // Start the simulation once; later prop changes are sent as messages.
+  useEffect(() => {
+    const handleFrame = (frame) => {
+      prevFrameRef.current = currFrameRef.current;
+      currFrameRef.current = { ...frame, receivedAt: performance.now() };
+
+      // Record the frame, starting a fresh history when the particle count
+      // changes. Pause and restore re-publish the latest frame; skip those.
+      const count = frame.species.length;
+      let history = historyRef.current;
+      if (!history || (history.last() && history.last().species.length !== count)) {
+        history = createRingBuffer(historyCapacity(count));
+        historyRef.current = history;
+      }
+      const last = history.last();
+      if (!last || last.time !== frame.time) history.push(frame);
+
+      // Follow the tagged particle and collect collision events.
+      const index = taggedRef.current;
+      if (index !== null && index < count) {
+        const o = index * FRAME_STRIDE;
+        const trail = trailRef.current;
+        trail.push([frame.data[o], frame.data[o + 1], frame.data[o + 6]]);
+        if (trail.length > TRAIL_FRAMES) trail.shift();
+      }
+      if (frame.collisionEvents) {
+        eventsRef.current.events.push(...frame.collisionEvents);
+        eventsRef.current.dropped += frame.droppedCollisionEvents || 0;
+      }
+
+      // Share the measured speeds and energies every few frames.
+      frameCountRef.current += 1;
+      if (frameCountRef.current % sampleInterval !== 0 && !frame.paused) return;
+      setEnergyLedger(frame.ledger);
+      setDisplayTime(frame.time);
+      setHistorySize(history.size());
+      const { events, dropped } = eventsRef.current;
+      eventsRef.current = { events: [], dropped: 0 };
+      if (onSampleRef.current) onSampleRef.current(frameSample(frame, false, events, dropped));
+    };
+
+    const client = createSimulationClient(handleFrame);
+    client.send({
+      type: 'init',
+      options: { ...engineOptionsRef.current, species: speciesRef.current, seed: Date.now() },
+    });
+    clientRef.current = client;
+    return () => client.dispose();
+  }, [sampleInterval]);
+
+  // Update the engine's thermostat target when temperature changes.
+  useEffect(() => {
+    clientRef.current.send({ type: 'setTemperature', value: temperature });
   }, [temperature]);
 
-  const width = 400;
-  const height = 400;
-  const numParticles = 50;
-  const baseSpeedFactor = 0.5; // desired average speed factor
-  const restitution = 0.9; // coefficient of restitution for inelastic collisions
-
-  // Initialize particles only once.
-  // Each particle has its own position and velocity.
-  const particlesRef = useRef([]);
-  useEffect(() => {
-    if (particlesRef.current.length === 0) {
-      const particles = [];
-      for (let i = 0; i < numParticles; i++) {
-        const x = Math.random() * width;
-        const y = Math.random() * height;
-        const angle = Math.random() * 2 * Math.PI;
-        const speed = baseSpeedFactor * Math.sqrt(tempRef.current);
-        const vx = speed * Math.cos(angle);
-        const vy = speed * Math.sin(angle);
-        const radius = 5;
-        particles.push({ x, y, vx, vy, radius });
+  // Thermostat, restitution and gravity are live engine settings;
+  // switching the thermostat starts a fresh energy ledger.
+  useEffect(() => {
+    clientRef.current.send({ type: 'setOption', key: 'thermostat', value: thermostat });
+  }, [thermostat]);
+
+  useEffect(() => {
+    clientRef.current.send({ type: 'setOption', key: 'restitution', value: restitution });
+  }, [restitution]);
+
+  useEffect(() => {
+    clientRef.current.send({ type: 'setOption', key: 'gravity', value: gravity });
+  }, [gravity]);
+
+  // Reactive collisions (null when off). Compared by value, since the
+  // parent builds a new object on every render.
+  const reactionKey = JSON.stringify(reaction);
+  useEffect(() => {
+    clientRef.current.send({ type: 'setOption', key: 'reaction', value: JSON.parse(reactionKey) });
+  }, [reactionKey]);
+
+  // Internal wall for the two-chamber scenarios, or null. Declared before
+  // the species effect, so a scenario's particles are placed around it.
+  const partitionKey = JSON.stringify(partition);
+  useEffect(() => {
+    clientRef.current.send({
+      type: 'setOption',
+      key: 'partition',
+      value: JSON.parse(partitionKey),
+    });
+  }, [partitionKey]);
+
+  // Dragging the right wall sets the piston's target; the piston follows
+  // at its set speed.
+  const draggingRef = useRef(false);
+  const canvasX = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return ((e.clientX - rect.left) * box.width) / rect.width;
+  };
+  // Particle under a click, or null: the nearest one within a few pixels
+  // of its drawn edge.
+  const particleAt = (e) => {
+    const curr = currFrameRef.current;
+    if (!curr) return null;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const cx = canvasX(e);
+    const cy = ((e.clientY - rect.top) * box.height) / rect.height;
+    let found = null;
+    let nearest = Infinity;
+    for (let i = 0; i < curr.species.length; i++) {
+      const o = i * FRAME_STRIDE;
+      const p =
+        curr.dimensions === 3
+          ? project(curr.data[o], curr.data[o + 1], curr.data[o + 6], {
+              ...box,
+              depth: curr.depth,
+            })
+          : { x: curr.data[o], y: curr.data[o + 1], scale: 1 };
+      const distance = Math.hypot(p.x - cx, p.y - cy);
+      if (distance <= curr.data[o + 4] * p.scale + 4 && distance < nearest) {
+        found = i;
+        nearest = distance;
       }
-      particlesRef.current = particles;
     }
-  }, [width, height, numParticles]);
-
-  // Inelastic collision handler for two particles.
-  const handleCollision = (p1, p2) => {
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    if (dist === 0) return;
-    const nx = dx / dist;
-    const ny = dy / dist;
-    const dvx = p2.vx - p1.vx;
-    const dvy = p2.vy - p1.vy;
-    const relVel = dvx * nx + dvy * ny;
-    if (relVel > 0) return; // already separating
-    const impulse = -(1 + restitution) * relVel / 2;
-    p1.vx -= impulse * nx;
-    p1.vy -= impulse * ny;
-    p2.vx += impulse * nx;
-    p2.vy += impulse * ny;
+    return found;
+  };
+
+  // Grab the piston near the right wall; otherwise tag the particle under
+  // the pointer, or clear the tag.
+  const handlePointerDown = (e) => {
+    const curr = currFrameRef.current;
+    const position = (curr && curr.width) || box.width;
+    if (onPistonDrag && Math.abs(canvasX(e) - position) <= PISTON_GRAB) {
+      draggingRef.current = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      return;
+    }
+    if (onTag) onTag(particleAt(e));
+  };
+  const handlePointerMove = (e) => {
+    if (!draggingRef.current) return;
+    onPistonDrag(Math.round(Math.min(box.width, Math.max(MIN_BOX_WIDTH, canvasX(e)))));
+  };
+  const handlePointerUp = () => {
+    draggingRef.current = false;
+  };
+
+  // Switching between a flat and a 3D box places fresh particles.
+  const dimensionsRef = useRef(dimensions);
+  useEffect(() => {
+    if (dimensionsRef.current === dimensions) return;
+    dimensionsRef.current = dimensions;
+    historyRef.current = null;
+    if (onTagRef.current) onTagRef.current(null);
+    setScrubIndex(null);
+    clientRef.current.send({ type: 'setDimensions', value: dimensions });
+  }, [dimensions]);
+
+  // Resizing the box places fresh particles too. The draw loop reads the
+  // box size through boxRef.
+  const boxRef = useRef({ width: box.width, height: box.height });
+  useEffect(() => {
+    const current = boxRef.current;
+    if (current.width === box.width && current.height === box.height) return;
+    boxRef.current = { width: box.width, height: box.height };
+    historyRef.current = null;
+    if (onTagRef.current) onTagRef.current(null);
+    setScrubIndex(null);
+    clientRef.current.send({ type: 'setBox', box: boxRef.current });
+  }, [box.width, box.height]);
+
+  // Piston target and speed, or null for a fixed box. Declared after the
+  // box effect, which takes the piston out, so a loaded piston is kept.
+  const pistonKey = JSON.stringify(piston);
+  useEffect(() => {
+    clientRef.current.send({ type: 'setOption', key: 'piston', value: JSON.parse(pistonKey) });
+  }, [pistonKey]);
+
+  // Size the canvas to its container: its CSS pixels per box unit, also
+  // read by the draw loop. Without ResizeObserver (tests) the box is drawn
+  // at one CSS pixel per unit.
+  const containerRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(0);
+  useEffect(() => {
+    const container = containerRef.current;
+    setContainerWidth(container.clientWidth);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(([entry]) => setContainerWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+  // Less the canvas border.
+  const availableWidth = containerWidth > 2 ? containerWidth - 2 : box.width;
+  const viewScale = Math.min(availableWidth / box.width, MAX_CANVAS_HEIGHT / box.height);
+  const viewScaleRef = useRef(viewScale);
+  useEffect(() => {
+    viewScaleRef.current = viewScale;
+  }, [viewScale]);
+
+  // Place fresh particles of the current mixture, e.g. to rerun a reaction.
+  const restartMixture = useCallback(() => {
+    historyRef.current = null;
+    if (onTagRef.current) onTagRef.current(null);
+    setScrubIndex(null);
+    clientRef.current.send({ type: 'setSpecies', species: speciesRef.current });
+  }, []);
+
+  // Restart with the new mixture only when its physics changes; names and
+  // colors are picked up by the draw loop through speciesRef.
+  const speciesKey = species
+    ? species.map((s) => `${s.mass}:${s.radius}:${s.count}:${s.side || ''}`).join('|')
+    : '';
+  useEffect(() => {
+    if (speciesRef.current) restartMixture();
+  }, [speciesKey, restartMixture]);
+
+  // Load a saved engine state (e.g. from a session file). Declared after the
+  // species effect so a mixture change in the same update does not wipe it.
+  useEffect(() => {
+    if (restoreState) {
+      historyRef.current = null;
+      setScrubIndex(null);
+      clientRef.current.send({ type: 'setState', state: restoreState });
+    }
+  }, [restoreState]);
+
+  // Parents can read the full engine state, e.g. to save a session, and
+  // restart the current mixture.
+  useImperativeHandle(ref, () => ({
+    getState: () => clientRef.current.request({ type: 'getState' }).then((reply) => reply.state),
+    restart: restartMixture,
+  }));
+
+  // Show a recorded frame and let the charts follow it.
+  const showFrame = (index) => {
+    const frame = historyRef.current && historyRef.current.get(index);
+    if (!frame) return;
+    prevFrameRef.current = null;
+    currFrameRef.current = frame;
+    trailRef.current = [];
+    setScrubIndex(index);
+    setDisplayTime(frame.time);
+    setEnergyLedger(frame.ledger);
+    if (onSampleRef.current) onSampleRef.current(frameSample(frame, true));
+  };
+
+  const togglePause = () => {
+    if (!paused) {
+      clientRef.current.send({ type: 'pause' });
+      setHistorySize(historyRef.current ? historyRef.current.size() : 0);
+      setPaused(true);
+      return;
+    }
+    // Resuming from a rewound frame discards the frames after it and
+    // continues the simulation from there.
+    const history = historyRef.current;
+    if (history && scrubIndex !== null && scrubIndex < history.size() - 1) {
+      const frame = history.get(scrubIndex);
+      history.truncate(scrubIndex);
+      clientRef.current.send({ type: 'restore', frame });
+    }
+    setScrubIndex(null);
+    clientRef.current.send({ type: 'resume' });
+    setPaused(false);
+  };
+
+  const stepBack = () => {
+    const history = historyRef.current;
+    if (!history) return;
+    const index = scrubIndex === null ? history.size() - 1 : scrubIndex;
+    if (index > 0) showFrame(index - 1);
+  };
+
+  // Step forward through history, or advance the simulation from the end.
+  const stepForward = () => {
+    const history = historyRef.current;
+    if (history && scrubIndex !== null && scrubIndex < history.size() - 1) {
+      showFrame(scrubIndex + 1);
+      return;
+    }
+    setScrubIndex(null);
+    clientRef.current.send({ type: 'step' });
+  };
+
+  const handleSpeedChange = (e) => {
+    const value = parseFloat(e.target.value);
+    clientRef.current.send({ type: 'setSpeed', value });
+    setSpeed(value);
   };
 
   useEffect(() => {
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
 
-    const updateParticles = () => {
+    const drawFrame = () => {
+      // Match the canvas to its CSS size at the current device pixel ratio
+      // (which changes with zoom or between screens), then draw in box units.
+      const { width, height } = boxRef.current;
+      const ratio = (window.devicePixelRatio || 1) * viewScaleRef.current;
+      const pixelWidth = Math.round(width * ratio);
+      const pixelHeight = Math.round(height * ratio);
+      if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
       // Clear and set background.
       ctx.clearRect(0, 0, width, height);
       ctx.fillStyle = '#f5f5f5';
@@ -67,110 +608,352 @@ const SimulationCanvas = ({ temperature }) => {
       ctx.strokeStyle = '#ccc';
       ctx.strokeRect(0, 0, width, height);
 
-      const currentTemp = tempRef.current;
-      const desiredAvgSpeed = baseSpeedFactor * Math.sqrt(currentTemp);
-      const particles = particlesRef.current;
+      const curr = currFrameRef.current;
+      if (curr) {
+        // Interpolate from the previous frame towards the current one over
+        // the interval at which frames are arriving.
+        const prev = prevFrameRef.current;
+        const canInterpolate =
+          prev && !curr.paused && prev.data.length === curr.data.length;
+        const interval = canInterpolate ? curr.receivedAt - prev.receivedAt || 16 : 1;
+        const alpha = canInterpolate
+          ? Math.min(1, (performance.now() - curr.receivedAt) / interval)
+          : 1;
 
-      // Update positions.
-      for (let p of particles) {
-        p.x += p.vx;
-        p.y += p.vy;
-      }
+        const lerp = (o) =>
+          canInterpolate
+            ? prev.data[o] + (curr.data[o] - prev.data[o]) * alpha
+            : curr.data[o];
 
-      // Wall collisions.
-      for (let p of particles) {
-        if (p.x - p.radius < 0) {
-          p.x = p.radius;
-          p.vx = Math.abs(p.vx);
-        } else if (p.x + p.radius > width) {
-          p.x = width - p.radius;
-          p.vx = -Math.abs(p.vx);
+        // In 3D, project every particle and draw the far ones first.
+        const threeD = curr.dimensions === 3;
+        const count = curr.species.length;
+        const view = { width, height, depth: curr.depth };
+        if (curr.width && curr.width < width) drawPiston(ctx, curr.width, view, threeD);
+        drawPartition(ctx, curr.partition, height);
+        let order = Array.from({ length: count }, (_, i) => i);
+        if (threeD) {
+          drawBoxDepth(ctx, view);
+          const z = (i) => curr.data[i * FRAME_STRIDE + 6];
+          order = order.sort((a, b) => z(b) - z(a));
         }
-        if (p.y - p.radius < 0) {
-          p.y = p.radius;
-          p.vy = Math.abs(p.vy);
-        } else if (p.y + p.radius > height) {
-          p.y = height - p.radius;
-          p.vy = -Math.abs(p.vy);
-        }
-      }
 
-      // Particle collisions.
-      for (let i = 0; i < particles.length; i++) {
-        for (let j = i + 1; j < particles.length; j++) {
-          const p1 = particles[i];
-          const p2 = particles[j];
-          const dx = p2.x - p1.x;
-          const dy = p2.y - p1.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist < p1.radius + p2.radius) {
-            handleCollision(p1, p2);
-            const overlap = p1.radius + p2.radius - dist;
-            const sepX = (dx / dist) * (overlap / 2);
-            const sepY = (dy / dist) * (overlap / 2);
-            p1.x -= sepX;
-            p1.y -= sepY;
-            p2.x += sepX;
-            p2.y += sepY;
+        // Draw each particle with a radial gradient and a subtle shadow, in
+        // its species color or the color of its speed or energy. shadowBlur
+        // is expensive, so crowded boxes skip it; the batched mode fills one
+        // path per color instead, without gradients or depth order between
+        // colors.
+        const speciesList = speciesRef.current || [];
+        const render = renderRef.current;
+        const batched = render.fastDraw || count > FAST_DRAW_COUNT;
+        const useShadow = count <= 500;
+        const scale = colorScale(render.colorMode, curr.dimensions);
+        const colorOf = (i, o) => {
+          if (render.colorMode === 'species') {
+            const s = speciesList[curr.species[i]];
+            return s ? s.color : '#6496fa';
+          }
+          const v = Math.hypot(curr.data[o + 2], curr.data[o + 3], curr.data[o + 7]);
+          const energy = 0.5 * curr.data[o + 5] * (v / baseSpeedFactor) ** 2;
+          if (render.colorMode === 'activation') {
+            return render.activationEnergy !== null && energy >= render.activationEnergy
+              ? ACTIVATED_COLOR
+              : INACTIVE_COLOR;
           }
+          return scaleColor(scale, v, energy, batched ? COLOR_STEPS : 0);
+        };
+
+        const batches = new Map();
+        const arrows = [];
+        let taggedAt = null;
+        for (let i of order) {
+          const o = i * FRAME_STRIDE;
+          let x = lerp(o);
+          let y = lerp(o + 1);
+          let radius = curr.data[o + 4];
+          let tip = {
+            x: x + curr.data[o + 2] * ARROW_FRAMES,
+            y: y + curr.data[o + 3] * ARROW_FRAMES,
+          };
+          if (threeD) {
+            const z = lerp(o + 6);
+            const p = project(x, y, z, view);
+            tip = project(tip.x, tip.y, z + curr.data[o + 7] * ARROW_FRAMES, view);
+            x = p.x;
+            y = p.y;
+            radius *= p.scale;
+          }
+          const color = colorOf(i, o);
+          if (render.showArrows) arrows.push([x, y, tip.x, tip.y]);
+          if (i === taggedRef.current) taggedAt = { x, y, radius };
+
+          if (batched) {
+            if (!batches.has(color)) batches.set(color, []);
+            batches.get(color).push(x, y, radius);
+            continue;
+          }
+          const gradient = ctx.createRadialGradient(x, y, radius * 0.2, x, y, radius);
+          gradient.addColorStop(0, 'rgba(255,255,255,1)');
+          gradient.addColorStop(0.5, `${color}cc`);
+          gradient.addColorStop(1, `${color}80`);
+
+          ctx.beginPath();
+          ctx.arc(x, y, radius, 0, 2 * Math.PI);
+          ctx.fillStyle = gradient;
+          ctx.shadowColor = 'rgba(0,0,0,0.2)';
+          ctx.shadowBlur = useShadow ? 4 : 0;
+          ctx.fill();
+          ctx.shadowBlur = 0;
         }
-      }
+        batches.forEach((circles, color) => {
+          ctx.fillStyle = color;
+          ctx.beginPath();
+          for (let k = 0; k < circles.length; k += 3) {
+            ctx.moveTo(circles[k] + circles[k + 2], circles[k + 1]);
+            ctx.arc(circles[k], circles[k + 1], circles[k + 2], 0, 2 * Math.PI);
+          }
+          ctx.fill();
+        });
 
-      // Thermostat: rescale velocities to maintain desired average speed.
-      let sumSpeed = 0;
-      for (let p of particles) {
-        const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy);
-        sumSpeed += speed;
-      }
-      const avgSpeed = sumSpeed / particles.length;
-      const scale = desiredAvgSpeed / (avgSpeed || 1);
-      for (let p of particles) {
-        p.vx *= scale;
-        p.vy *= scale;
-      }
+        if (arrows.length > 0) {
+          ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+          ctx.beginPath();
+          arrows.forEach((arrow) => drawArrow(ctx, ...arrow));
+          ctx.stroke();
+        }
 
-      // Draw particles with a radial gradient and subtle shadow.
-      for (let p of particles) {
-        const gradient = ctx.createRadialGradient(
-          p.x,
-          p.y,
-          p.radius * 0.2,
-          p.x,
-          p.y,
-          p.radius
-        );
-        gradient.addColorStop(0, 'rgba(255,255,255,1)');
-        gradient.addColorStop(0.5, 'rgba(100,150,250,0.8)');
-        gradient.addColorStop(1, 'rgba(50,100,200,0.5)');
-
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, p.radius, 0, 2 * Math.PI);
-        ctx.fillStyle = gradient;
-        ctx.shadowColor = 'rgba(0,0,0,0.2)';
-        ctx.shadowBlur = 4;
-        ctx.fill();
-        ctx.shadowBlur = 0;
+        if (taggedAt) {
+          ctx.strokeStyle = '#000';
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.arc(taggedAt.x, taggedAt.y, taggedAt.radius + 3, 0, 2 * Math.PI);
+          ctx.stroke();
+          ctx.lineWidth = 1;
+        }
+
+        // Trail of the tagged particle, up to where it is drawn now.
+        const trail = trailRef.current;
+        const index = taggedRef.current;
+        if (index !== null && index < count && trail.length > 1) {
+          const o = index * FRAME_STRIDE;
+          // The last recorded position is the current frame, which the
+          // particle is still moving towards.
+          const points = [...trail.slice(0, -1), [lerp(o), lerp(o + 1), lerp(o + 6)]].map(
+            ([x, y, z]) => (threeD ? project(x, y, z, view) : { x, y })
+          );
+          ctx.strokeStyle = 'rgba(0,0,0,0.5)';
+          ctx.beginPath();
+          points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+          ctx.stroke();
+        }
       }
 
-      animationRef.current = requestAnimationFrame(updateParticles);
+      animationRef.current = requestAnimationFrame(drawFrame);
     };
 
-    animationRef.current = requestAnimationFrame(updateParticles);
+    animationRef.current = requestAnimationFrame(drawFrame);
     return () => cancelAnimationFrame(animationRef.current);
-  }, [width, height, baseSpeedFactor, restitution]);
+  }, []);
+
+  // Kinetic energy is conserved only with no thermostat, elastic collisions
+  // and nothing doing work on the gas; in an isolated elastic box it changes
+  // by exactly the work terms in the ledger.
+  const isolated = thermostat === 'none';
+  const elastic = restitution === 1;
+  const work = energyLedger
+    ? Object.keys(WORK_TERMS)
+        .filter((key) => energyLedger[key])
+        .map((key) => WORK_TERMS[key])
+    : [];
+  const conserved = isolated && elastic && work.length === 0;
+  const status = !isolated
+    ? THERMOSTAT_STATUS[thermostat]
+    : !elastic
+      ? 'Energy lost to inelastic collisions'
+      : work.length > 0
+        ? `Isolated and elastic: kinetic energy changes only by ${work.join(' and ')}`
+        : 'Total energy conserved (isolated, elastic)';
 
   return (
-    <canvas
-      ref={canvasRef}
-      width={width}
-      height={height}
-      style={{
-        border: '1px solid #ddd',
-        borderRadius: '8px',
-        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
-        backgroundColor: '#fff',
-      }}
-    />
+    <div ref={containerRef}>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        style={{
+          display: 'block',
+          margin: '0 auto',
+          width: `${box.width * viewScale}px`,
+          height: `${box.height * viewScale}px`,
+          touchAction: 'pan-y',
+          border: '1px solid #ddd',
+          borderRadius: '8px',
+          boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+          backgroundColor: '#fff',
+        }}
+      />
+      {/* Playback controls: pause, single step and simulation speed */}
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          marginTop: '8px',
+          fontSize: '14px',
+        }}
+      >
+        <button onClick={stepBack} disabled={!paused}>
+          ◀ Back
+        </button>
+        <button onClick={togglePause}>{paused ? 'Play' : 'Pause'}</button>
+        <button onClick={stepForward} disabled={!paused}>
+          Step ▶
+        </button>
+        <label>
+          Speed:
+          <select value={speed} onChange={handleSpeedChange} style={{ marginLeft: '6px' }}>
+            {SPEEDS.map((value) => (
+              <option key={value} value={value}>
+                {value}×
+              </option>
+            ))}
+          </select>
+        </label>
+        <span>t = {(displayTime * FRAME_SECONDS).toFixed(2)} s</span>
+      </div>
+      {/* Render mode: particle colors, velocity arrows and fast drawing */}
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: '10px',
+          marginTop: '8px',
+          fontSize: '14px',
+        }}
+      >
+        <label>
+          Color:
+          <select
+            value={colorMode}
+            onChange={(e) => setColorMode(e.target.value)}
+            style={{ marginLeft: '6px' }}
+          >
+            {Object.entries(COLOR_MODES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={showArrows}
+            onChange={(e) => setShowArrows(e.target.checked)}
+          />{' '}
+          Velocity arrows
+        </label>
+        <label title={`Always on above ${FAST_DRAW_COUNT} particles`}>
+          <input
+            type="checkbox"
+            checked={fastDraw}
+            onChange={(e) => setFastDraw(e.target.checked)}
+          />{' '}
+          Fast drawing
+        </label>
+      </div>
+      {(colorMode === 'speed' || colorMode === 'energy') &&
+        (() => {
+          const scale = colorScale(colorMode, dimensions);
+          return (
+            <div style={{ marginTop: '6px', fontSize: '12px' }}>
+              <div
+                style={{
+                  height: '10px',
+                  borderRadius: '4px',
+                  background: `linear-gradient(to right, ${temperatureColor(
+                    TEMPERATURE_RANGE.min
+                  )}, ${temperatureColor(TEMPERATURE_RANGE.max)})`,
+                }}
+              />
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>
+                  ≤ {scale.min.toFixed(1)} {scale.unit} (mean at {TEMPERATURE_RANGE.min} K)
+                </span>
+                <span>
+                  ≥ {scale.max.toFixed(1)} {scale.unit} (mean at {TEMPERATURE_RANGE.max} K)
+                </span>
+              </div>
+            </div>
+          );
+        })()}
+      {colorMode === 'activation' && (
+        <div style={{ marginTop: '6px', fontSize: '12px', textAlign: 'left' }}>
+          {activationEnergy === null ? (
+            'No activation energy set.'
+          ) : (
+            <>
+              <span style={{ color: ACTIVATED_COLOR }}>●</span> energy ≥ Ea ={' '}
+              {activationEnergy.toFixed(0)} ·{' '}
+              <span style={{ color: INACTIVE_COLOR }}>●</span> below
+            </>
+          )}
+        </div>
+      )}
+      {/* Timeline scrubber over the recorded history (while paused) */}
+      <input
+        type="range"
+        min="0"
+        max={Math.max(historySize - 1, 0)}
+        step="1"
+        value={scrubIndex === null ? Math.max(historySize - 1, 0) : scrubIndex}
+        onChange={(e) => showFrame(parseInt(e.target.value, 10))}
+        disabled={!paused || historySize < 2}
+        style={{ width: '100%', marginTop: '6px' }}
+      />
+      {energyLedger && (
+        <div style={{ fontSize: '13px', marginTop: '8px', textAlign: 'left' }}>
+          <div>
+            <strong
+              style={{
+                color: conserved ? '#28a745' : isolated && !elastic ? '#DC3545' : '#007BFF',
+              }}
+            >
+              {status}
+            </strong>
+          </div>
+          <div>
+            Kinetic energy: {energyLedger.kineticEnergy.toFixed(1)} · From thermostat:{' '}
+            {energyLedger.thermostat >= 0 ? '+' : ''}
+            {energyLedger.thermostat.toFixed(1)} · Collision losses:{' '}
+            {energyLedger.collisions.toFixed(1)}
+            {energyLedger.piston ? (
+              <>
+                {' '}
+                · Piston work: {energyLedger.piston >= 0 ? '+' : ''}
+                {energyLedger.piston.toFixed(1)}
+              </>
+            ) : null}
+            {energyLedger.gravity ? (
+              <>
+                {' '}
+                · Work by gravity: {energyLedger.gravity >= 0 ? '+' : ''}
+                {energyLedger.gravity.toFixed(1)}
+              </>
+            ) : null}
+            {energyLedger.reaction ? (
+              <>
+                {' '}
+                · Reaction heat: {energyLedger.reaction >= 0 ? '+' : ''}
+                {energyLedger.reaction.toFixed(1)}
+              </>
+            ) : null}
+          </div>
+        </div>
+      )}
+    </div>
   );
 };
 
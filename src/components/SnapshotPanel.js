@@ -0,0 +1,191 @@
+import React from 'react';
+import { snapshotLabel } from './snapshots';
+
+const cellStyle = { border: '1px solid #ddd', padding: '4px' };
+
+// Snapshot manager under the distribution chart: show or hide, rename,
+// pin a color and delete saved curves, and compare any two curves.
+// `compare` is { enabled, a, b } where a and b are 'current' or a snapshot
+// id; `describeCurve(T)` gives the mode, mean and percentage above Ea.
+const SnapshotPanel = ({
+  snapshots,
+  onChange,
+  temperature,
+  colorFor,
+  compare,
+  onCompareChange,
+  describeCurve,
+  unit,
+}) => {
+  const update = (id, patch) =>
+    onChange((prev) => prev.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+
+  const curveOptions = [
+    <option key="current" value="current">
+      Current (T = {temperature} K)
+    </option>,
+    ...snapshots.map((s) => (
+      <option key={s.id} value={s.id}>
+        {snapshotLabel(s)}
+      </option>
+    )),
+  ];
+  const curveTemperature = (key) => {
+    if (key === 'current') return temperature;
+    const snapshot = snapshots.find((s) => String(s.id) === String(key));
+    return snapshot ? snapshot.temperature : null;
+  };
+
+  const renderComparison = () => {
+    const Ta = curveTemperature(compare.a);
+    const Tb = curveTemperature(compare.b);
+    if (Ta === null || Tb === null) return null;
+    const a = describeCurve(Ta);
+    const b = describeCurve(Tb);
+    const rows = [
+      ['Most probable energy', 'mostProbable', unit],
+      ['Mean energy', 'mean', unit],
+      ['Above activation energy', 'percentageAbove', '%'],
+    ];
+    return (
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}></th>
+            <th style={cellStyle}>A ({Ta} K)</th>
+            <th style={cellStyle}>B ({Tb} K)</th>
+            <th style={cellStyle}>Shift B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, key, rowUnit]) => {
+            const shift = b[key] - a[key];
+            return (
+              <tr key={key}>
+                <td style={cellStyle}>{label}</td>
+                <td style={cellStyle}>
+                  {a[key].toPrecision(4)} {rowUnit}
+                </td>
+                <td style={cellStyle}>
+                  {b[key].toPrecision(4)} {rowUnit}
+                </td>
+                <td style={cellStyle}>
+                  {shift >= 0 ? '+' : ''}
+                  {shift.toPrecision(3)} {rowUnit}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    <div style={{ marginTop: '20px', fontSize: '14px', textAlign: 'left' }}>
+      <strong>Snapshots</strong>
+      {snapshots.length === 0 ? (
+        <div style={{ color: '#555', marginTop: '4px' }}>
+          Press Snapshot to keep the current curve. With the measured histogram on, the
+          histogram is stored too.
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '4px' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Show</th>
+              <th style={cellStyle}>Label</th>
+              <th style={cellStyle}>Temperature</th>
+              <th style={cellStyle}>Color</th>
+              <th style={cellStyle}>Histogram</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map((s) => (
+              <tr key={s.id}>
+                <td style={cellStyle}>
+                  <input
+                    type="checkbox"
+                    checked={s.visible}
+                    onChange={(e) => update(s.id, { visible: e.target.checked })}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  <input
+                    value={s.label}
+                    placeholder={snapshotLabel({ ...s, label: '' })}
+                    onChange={(e) => update(s.id, { label: e.target.value })}
+                    style={{ width: '120px' }}
+                  />
+                </td>
+                <td style={cellStyle}>{s.temperature} K</td>
+                <td style={cellStyle}>
+                  <input
+                    type="color"
+                    value={colorFor(s)}
+                    onChange={(e) => update(s.id, { color: e.target.value })}
+                    title="Pin a color"
+                  />
+                  {s.color && (
+                    <button onClick={() => update(s.id, { color: null })} title="Automatic color">
+                      auto
+                    </button>
+                  )}
+                </td>
+                <td style={cellStyle}>{s.histogram ? 'stored' : '—'}</td>
+                <td style={cellStyle}>
+                  <button
+                    onClick={() => onChange((prev) => prev.filter((other) => other.id !== s.id))}
+                    title="Delete snapshot"
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {snapshots.length > 0 && (
+        <div style={{ marginTop: '8px' }}>
+          <label>
+            <input
+              type="checkbox"
+              checked={compare.enabled}
+              onChange={(e) => onCompareChange({ ...compare, enabled: e.target.checked })}
+            />{' '}
+            Compare
+          </label>
+          {compare.enabled && (
+            <>
+              <label style={{ marginLeft: '10px' }}>
+                A:
+                <select
+                  value={compare.a}
+                  onChange={(e) => onCompareChange({ ...compare, a: e.target.value })}
+                  style={{ marginLeft: '6px' }}
+                >
+                  {curveOptions}
+                </select>
+              </label>
+              <label style={{ marginLeft: '10px' }}>
+                B:
+                <select
+                  value={compare.b}
+                  onChange={(e) => onCompareChange({ ...compare, b: e.target.value })}
+                  style={{ marginLeft: '6px' }}
+                >
+                  {curveOptions}
+                </select>
+              </label>
+              {renderComparison()}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
@@ -0,0 +1,160 @@
+import React from 'react';
+import { createSpecies, DEFAULT_OPTIONS, resizeMixture } from '../simulation/engine';
+
+// Ready-made mixtures; masses are relative to the default gas.
+const PRESETS = {
+  single: [createSpecies()],
+  lightHeavy: [
+    createSpecies({ name: 'Light', mass: 1, radius: 4, color: '#6496fa', count: 40 }),
+    createSpecies({ name: 'Heavy', mass: 4, radius: 7, color: '#e0603a', count: 40 }),
+  ],
+  threeGases: [
+    createSpecies({ name: 'He', mass: 1, radius: 3, color: '#6496fa', count: 30 }),
+    createSpecies({ name: 'N₂', mass: 7, radius: 5, color: '#2ca25f', count: 30 }),
+    createSpecies({ name: 'Ar', mass: 10, radius: 6, color: '#e0603a', count: 30 }),
+  ],
+};
+
+const cellStyle = { border: '1px solid #ddd', padding: '4px' };
+const inputStyle = { width: '60px' };
+
+const SpeciesPanel = ({
+  species,
+  onChange,
+  box = { width: DEFAULT_OPTIONS.width, height: DEFAULT_OPTIONS.height },
+}) => {
+  const updateSpecies = (index, key, value) => {
+    onChange(species.map((s, i) => (i === index ? { ...s, [key]: value } : s)));
+  };
+
+  const total = species.reduce((sum, s) => sum + s.count, 0);
+  const boxArea = box.width * box.height;
+
+  // Counts are whole numbers of particles; masses and radii need not be.
+  const handleNumber = (index, key, min) => (e) => {
+    const value = key === 'count' ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+    if (!Number.isNaN(value) && value >= min) updateSpecies(index, key, value);
+  };
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <strong>Gas mixture</strong>
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange(PRESETS[e.target.value])}
+        >
+          <option value="">Presets…</option>
+          <option value="single">Single gas</option>
+          <option value="lightHeavy">Light + heavy</option>
+          <option value="threeGases">He / N₂ / Ar</option>
+        </select>
+      </div>
+      <label style={{ display: 'block', marginBottom: '8px' }}>
+        Particles: {total}
+        <input
+          type="range"
+          min="10"
+          max="5000"
+          step="10"
+          value={total}
+          onChange={(e) =>
+            onChange(resizeMixture(species, parseInt(e.target.value, 10), boxArea))
+          }
+          style={{ marginLeft: '10px', width: '60%' }}
+        />
+      </label>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Name</th>
+            <th style={cellStyle}>Mass</th>
+            <th style={cellStyle}>Radius</th>
+            <th style={cellStyle}>Color</th>
+            <th style={cellStyle}>Count</th>
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {species.map((s, index) => (
+            <tr key={index}>
+              <td style={cellStyle}>
+                <input
+                  value={s.name}
+                  onChange={(e) => updateSpecies(index, 'name', e.target.value)}
+                  style={{ width: '70px' }}
+                />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={s.mass}
+                  onChange={handleNumber(index, 'mass', 0.1)}
+                  style={inputStyle}
+                />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="number"
+                  min="0.5"
+                  max="20"
+                  step="0.5"
+                  value={s.radius}
+                  onChange={handleNumber(index, 'radius', 0.5)}
+                  style={inputStyle}
+                />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="color"
+                  value={s.color}
+                  onChange={(e) => updateSpecies(index, 'color', e.target.value)}
+                />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="number"
+                  min="0"
+                  max="5000"
+                  step="1"
+                  value={s.count}
+                  onChange={handleNumber(index, 'count', 0)}
+                  style={inputStyle}
+                />
+              </td>
+              <td style={cellStyle}>
+                <button
+                  onClick={() => onChange(species.filter((_, i) => i !== index))}
+                  disabled={species.length === 1}
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        onClick={() =>
+          onChange([...species, createSpecies({ name: `Gas ${species.length + 1}`, count: 20 })])
+        }
+        style={{ marginTop: '8px' }}
+      >
+        Add species
+      </button>
+    </div>
+  );
+};
+
+export default SpeciesPanel;
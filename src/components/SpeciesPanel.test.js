@@ -0,0 +1,13 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import SpeciesPanel from './SpeciesPanel';
+import { createSpecies } from '../simulation/engine';
+
+test('particle counts are kept whole, masses need not be', () => {
+  const onChange = jest.fn();
+  render(<SpeciesPanel species={[createSpecies({ count: 20 })]} onChange={onChange} />);
+  const [mass, , count] = screen.getAllByRole('spinbutton');
+  fireEvent.change(count, { target: { value: '2.5' } });
+  expect(onChange).toHaveBeenLastCalledWith([expect.objectContaining({ count: 2 })]);
+  fireEvent.change(mass, { target: { value: '2.5' } });
+  expect(onChange).toHaveBeenLastCalledWith([expect.objectContaining({ mass: 2.5 })]);
+});
@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
+import { countSpecies } from '../simulation/reactions';
+import { speedDensityFor } from '../simulation/theory';
+
+// Number of bins across the speed axis.
+const NUM_BINS = 40;
+
+// Per-species speed distributions: the Maxwell–Boltzmann curve for each
+// mass, in the simulation's number of dimensions, next to a time-averaged
+// histogram of the measured particle speeds.
+const SpeedDistributionChart = ({
+  species,
+  dimensions = 2,
+  temperature,
+  particleSample,
+  averagingWindow = 30,
+}) => {
+  const [history, setHistory] = useState([]);
+
+  // Keep a rolling window of samples; a new mixture starts a fresh window.
+  useEffect(() => {
+    setHistory([]);
+  }, [species.length]);
+
+  useEffect(() => {
+    if (!particleSample || !particleSample.species) return;
+    // A frame scrubbed from the timeline replaces the window.
+    setHistory((prev) =>
+      particleSample.scrubbed
+        ? [particleSample]
+        : [...prev, particleSample].slice(-averagingWindow)
+    );
+  }, [particleSample, averagingWindow]);
+
+  // Axis wide enough for the lightest species at the top of the slider range.
+  const xMax = useMemo(() => {
+    const lightest = Math.min(...species.map((s) => s.mass));
+    const kT = simulationThermalEnergy(500, DEFAULT_OPTIONS.baseSpeedFactor);
+    return (dimensions === 3 ? 4.5 : 4) * Math.sqrt(kT / lightest);
+  }, [species, dimensions]);
+
+  const data = useMemo(() => {
+    const kT = simulationThermalEnergy(temperature, DEFAULT_OPTIONS.baseSpeedFactor);
+    const binWidth = xMax / NUM_BINS;
+    const speeds = Array.from({ length: 201 }, (_, i) => (i * xMax) / 200);
+    // Particles per species from the latest sample, since reactions change
+    // them; the mixture's counts before the first sample.
+    const latest = history[history.length - 1];
+    const counts = latest
+      ? countSpecies(latest.species, species.length)
+      : species.map((s) => s.count);
+    const datasets = [];
+    species.forEach((s, index) => {
+      datasets.push({
+        label: `${s.name} theory`,
+        data: speeds.map((v) => ({
+          x: v,
+          y: counts[index] * speedDensityFor(dimensions)(v, s.mass, kT),
+        })),
+        borderColor: s.color,
+        borderDash: [5, 5],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      });
+      const bins = new Array(NUM_BINS).fill(0);
+      history.forEach((sample) => {
+        sample.speeds.forEach((v, i) => {
+          const bin = Math.floor(v / binWidth);
+          if (sample.species[i] === index && bin < NUM_BINS) bins[bin] += 1;
+        });
+      });
+      const samples = history.length || 1;
+      datasets.push({
+        label: `${s.name} measured`,
+        data: [
+          ...bins.map((count, i) => ({ x: i * binWidth, y: count / samples / binWidth })),
+          { x: xMax, y: 0 },
+        ],
+        borderColor: s.color,
+        backgroundColor: `${s.color}40`,
+        fill: 'origin',
+        stepped: 'after',
+        borderWidth: 1,
+        pointRadius: 0,
+      });
+    });
+    return { datasets };
+  }, [species, dimensions, temperature, history, xMax]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'linear',
+        min: 0,
+        max: xMax,
+        title: { display: true, text: 'Speed (px/frame)' },
+      },
+      y: {
+        min: 0,
+        title: { display: true, text: 'Number of molecules per unit speed' },
+      },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  return (
+    <div style={{ position: 'relative', width: '100%', height: '300px', marginTop: '20px' }}>
+      <Line data={data} options={options} />
+    </div>
+  );
+};
+
+export default SpeedDistributionChart;
@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { SWEEP_PARAMETERS, sweepPoints, sweepToCSV } from '../simulation/sweep';
+import { CSV_MIME, withBOM } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+
+// Statistics that can be plotted: the analytic row key and its measured one.
+// The mean energy is only exported; the isolated gas keeps it fixed while
+// it is measured (see sweep.js).
+const STATISTICS = {
+  percentageAbove: { label: '% of molecules above Ea', measured: 'measuredPercentageAbove' },
+  meanSpeed: { label: 'Mean speed (px/frame)', measured: 'measuredMeanSpeed' },
+};
+// Time the sweep may run before handing the page back to the browser.
+const SLICE_MS = 20;
+
+// Parameter sweep: step the temperature, activation energy or number of
+// particles across a range on a separate, headless copy of the gas, wait
+// for it to equilibrate at each point and plot kinetic theory against the
+// measured values. The current mixture, box, dimensions, thermostat and
+// activation energies are the starting point.
+const SweepPanel = ({
+  temperature,
+  species,
+  box,
+  dimensions,
+  thermostat,
+  activationEnergy,
+  catalystActivationEnergy,
+}) => {
+  const [parameter, setParameter] = useState('temperature');
+  const [range, setRange] = useState({ from: 100, to: 500, points: 9 });
+  const [withCatalyst, setWithCatalyst] = useState(false);
+  const [statistic, setStatistic] = useState('percentageAbove');
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  // Pending timer of a running sweep, cleared to stop it.
+  const timerRef = useRef(null);
+
+  const stop = () => {
+    clearTimeout(timerRef.current);
+    setRunning(false);
+  };
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleParameterChange = (key) => {
+    setParameter(key);
+    const { from, to } = SWEEP_PARAMETERS[key];
+    setRange((prev) => ({ ...prev, from, to }));
+  };
+
+  // Frames run in slices of SLICE_MS per timer tick, so the page stays
+  // responsive however large the gas.
+  const handleRun = () => {
+    const points = sweepPoints({
+      parameter,
+      ...range,
+      temperature,
+      species,
+      box,
+      dimensions,
+      thermostat,
+      activationEnergy,
+      catalystActivationEnergy:
+        withCatalyst && parameter !== 'activationEnergy' ? catalystActivationEnergy : null,
+    });
+    setRows([]);
+    setRunning(true);
+    const next = () => {
+      const start = performance.now();
+      while (performance.now() - start < SLICE_MS) {
+        const { value, done } = points.next();
+        if (done) {
+          setRunning(false);
+          return;
+        }
+        if (value) setRows((prev) => [...prev, value]);
+      }
+      timerRef.current = setTimeout(next, 0);
+    };
+    timerRef.current = setTimeout(next, 0);
+  };
+
+  const handleExport = () => {
+    downloadFile(`mb-sweep-${parameter}.csv`, withBOM(sweepToCSV(rows)), CSV_MIME);
+  };
+
+  const data = useMemo(() => {
+    const series = (key) =>
+      rows
+        .filter((row) => row[key] !== undefined)
+        .map((row) => ({ x: row[parameter], y: row[key] }));
+    const { measured } = STATISTICS[statistic];
+    const datasets = [
+      {
+        label: 'Kinetic theory',
+        data: series(statistic),
+        borderColor: '#007BFF',
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: 'Measured',
+        data: series(measured),
+        borderColor: '#007BFF',
+        backgroundColor: '#007BFF',
+        showLine: false,
+        pointRadius: 4,
+      },
+    ];
+    // The catalyst's lowered activation energy only changes the share above Ea.
+    if (statistic === 'percentageAbove' && rows.some((row) => 'catalystPercentageAbove' in row)) {
+      datasets.push(
+        {
+          label: 'Kinetic theory, catalyst',
+          data: series('catalystPercentageAbove'),
+          borderColor: '#8A2BE2',
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: 'Measured, catalyst',
+          data: series('measuredCatalystPercentageAbove'),
+          borderColor: '#8A2BE2',
+          backgroundColor: '#8A2BE2',
+          showLine: false,
+          pointRadius: 4,
+        }
+      );
+    }
+    return { datasets };
+  }, [rows, parameter, statistic]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: 'linear', title: { display: true, text: SWEEP_PARAMETERS[parameter].label } },
+      y: { min: 0, title: { display: true, text: STATISTICS[statistic].label } },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  const unsettled = rows.filter((row) => row.equilibrationFrames === null).length;
+  const setRangeValue = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value)) setRange((prev) => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <strong>Parameter sweep</strong>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {running ? (
+            <button onClick={stop}>Stop</button>
+          ) : (
+            <button onClick={handleRun}>Run sweep</button>
+          )}
+          <button onClick={handleExport} disabled={rows.length === 0}>
+            Export CSV
+          </button>
+        </div>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '8px' }}>
+        <label>
+          Sweep
+          <select
+            value={parameter}
+            onChange={(e) => handleParameterChange(e.target.value)}
+            disabled={running}
+            style={{ marginLeft: '6px' }}
+          >
+            {Object.entries(SWEEP_PARAMETERS).map(([key, { label }]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {['from', 'to', 'points'].map((key) => (
+          <label key={key}>
+            {key}
+            <input
+              type="number"
+              min={key === 'points' ? 1 : 0}
+              value={range[key]}
+              onChange={setRangeValue(key)}
+              disabled={running}
+              style={{ marginLeft: '6px', width: '60px' }}
+            />
+          </label>
+        ))}
+        {parameter !== 'activationEnergy' && (
+          <label>
+            <input
+              type="checkbox"
+              checked={withCatalyst}
+              onChange={(e) => setWithCatalyst(e.target.checked)}
+              disabled={running}
+            />{' '}
+            Also with the catalyst
+          </label>
+        )}
+      </div>
+      <div style={{ fontSize: '13px', color: '#555', marginBottom: '8px' }}>
+        {running
+          ? `Equilibrating and measuring point ${rows.length + 1} of ${range.points}…`
+          : rows.length > 0
+            ? `${rows.length} points measured.`
+            : 'Each point waits for the gas to equilibrate, then samples it for 10 s.'}
+        {unsettled > 0 && ` ${unsettled} did not fully equilibrate.`}
+      </div>
+      {rows.length > 0 && (
+        <>
+          <label style={{ display: 'block', marginBottom: '8px' }}>
+            Plot
+            <select
+              value={statistic}
+              onChange={(e) => setStatistic(e.target.value)}
+              style={{ marginLeft: '6px' }}
+            >
+              {Object.entries(STATISTICS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div style={{ position: 'relative', width: '100%', height: '250px' }}>
+            <Line data={data} options={options} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SweepPanel;
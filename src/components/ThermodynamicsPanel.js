@@ -0,0 +1,256 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { DEFAULT_OPTIONS } from '../simulation/engine';
+import { FRAME_SECONDS } from '../simulation/host';
+import {
+  boxGeometry,
+  compressibility,
+  freeVolume,
+  kineticThermalEnergy,
+  wallPressure,
+} from '../simulation/thermodynamics';
+
+// Longest series kept; older points are thinned out beyond this.
+const MAX_POINTS = 600;
+// Wall impulses are averaged over about a second of simulated time.
+const AVERAGING_FRAMES = 60;
+// Simulation energies in chart energy units are divided by baseSpeedFactor².
+const ENERGY_SCALE = DEFAULT_OPTIONS.baseSpeedFactor ** 2;
+
+// Pressure, kinetic temperature and number density of the gas in the
+// canvas, with PV plotted against NkT over time. The dashed line is the
+// hard-particle equation of state P·V_free = NkT, which shows how finite
+// particle size pushes the pressure above the ideal-gas value. Once the
+// piston has moved, a P–V diagram follows the path against the isotherm
+// and adiabat through the first recorded state.
+const ThermodynamicsPanel = ({ particleSample }) => {
+  const [points, setPoints] = useState([]);
+
+  useEffect(() => {
+    if (!particleSample || particleSample.wallImpulse === undefined) return;
+    const { time, wallImpulse, kineticEnergy, box, dimensions: d = 2, radii } = particleSample;
+    const geometry = boxGeometry({ ...box, dimensions: d });
+    setPoints((prev) => {
+      // Rewinding drops the later points; fresh particles restart the wall
+      // count and drop them all.
+      let next = prev.filter((point) => point.time < time && point.impulse <= wallImpulse);
+      next.push({
+        time,
+        impulse: wallImpulse,
+        kineticEnergy,
+        volume: geometry.volume,
+        wallArea: geometry.wallArea,
+        freeVolume: freeVolume(radii, geometry, d),
+      });
+      if (next.length > MAX_POINTS) next = next.filter((_, i) => i % 2 === 0);
+      return next;
+    });
+  }, [particleSample]);
+
+  const { series, volume, count, dimensions } = useMemo(() => {
+    if (!particleSample || !particleSample.box) {
+      return { series: [], volume: 0, count: 0, dimensions: 2 };
+    }
+    const d = particleSample.dimensions || 2;
+    const N = particleSample.radii.length;
+    const result = [];
+    let start = 0;
+    points.forEach((point, i) => {
+      if (i === 0) return;
+      // Latest earlier point at least a window back, or the first one.
+      while (start + 1 < i && point.time - points[start + 1].time >= AVERAGING_FRAMES) {
+        start += 1;
+      }
+      const from = points[start];
+      const span = points.slice(start, i + 1);
+      const meanEnergy = span.reduce((sum, p) => sum + p.kineticEnergy, 0) / span.length;
+      const kT = kineticThermalEnergy(meanEnergy, N, d);
+      const pressure = wallPressure(
+        point.impulse - from.impulse,
+        point.time - from.time,
+        point.wallArea
+      );
+      result.push({
+        time: point.time * FRAME_SECONDS,
+        pressure,
+        kT,
+        volume: point.volume,
+        pv: (pressure * point.volume) / ENERGY_SCALE,
+        nkt: (N * kT) / ENERGY_SCALE,
+        hardParticle: (N * kT * point.volume) / point.freeVolume / ENERGY_SCALE,
+      });
+    });
+    const volume = points.length ? points[points.length - 1].volume : 0;
+    return { series: result, volume, count: N, dimensions: d };
+  }, [points, particleSample]);
+
+  // P–V path in chart energy units, with the reversible curves through the
+  // first state: PV constant, and PV^γ constant with γ = (d + 2) / d.
+  // Work done on the gas is −∫P dV along the measured path.
+  const pv = useMemo(() => {
+    const volumes = series.map((point) => point.volume);
+    const minVolume = Math.min(...volumes);
+    const maxVolume = Math.max(...volumes);
+    if (series.length < 2 || maxVolume - minVolume < 0.02 * maxVolume) return null;
+    const pressure = (point) => point.pressure / ENERGY_SCALE;
+    const first = series[0];
+    const gamma = (dimensions + 2) / dimensions;
+    const grid = Array.from(
+      { length: 101 },
+      (_, i) => minVolume + (i * (maxVolume - minVolume)) / 100
+    );
+    let work = 0;
+    for (let i = 1; i < series.length; i++) {
+      const dV = series[i].volume - series[i - 1].volume;
+      work -= ((pressure(series[i]) + pressure(series[i - 1])) / 2) * dV;
+    }
+    return {
+      work,
+      data: {
+        datasets: [
+          {
+            label: 'Measured path',
+            data: series.map((point) => ({ x: point.volume, y: pressure(point) })),
+            borderColor: '#007BFF',
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+          },
+          {
+            label: 'Isotherm',
+            data: grid.map((V) => ({ x: V, y: (pressure(first) * first.volume) / V })),
+            borderColor: 'black',
+            borderDash: [5, 5],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+          },
+          {
+            label: `Adiabat (γ = ${gamma.toFixed(2)})`,
+            data: grid.map((V) => ({ x: V, y: pressure(first) * (first.volume / V) ** gamma })),
+            borderColor: '#DC3545',
+            borderDash: [5, 5],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+          },
+        ],
+      },
+    };
+  }, [series, dimensions]);
+
+  const data = useMemo(() => {
+    const line = (key) => series.map((point) => ({ x: point.time, y: point[key] }));
+    return {
+      datasets: [
+        {
+          label: 'Measured PV',
+          data: line('pv'),
+          borderColor: '#007BFF',
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: 'NkT (ideal gas)',
+          data: line('nkt'),
+          borderColor: 'black',
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: 'NkT · V / V_free (hard particles)',
+          data: line('hardParticle'),
+          borderColor: '#DC3545',
+          borderDash: [5, 5],
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    };
+  }, [series]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'Time (s)' } },
+      y: { min: 0, title: { display: true, text: 'Energy units' } },
+    },
+    plugins: {
+      legend: {
+        display: true,
+        labels: { usePointStyle: true, pointStyle: 'line', padding: 10 },
+      },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  const latest = series[series.length - 1];
+  const lengthUnit = dimensions === 3 ? 'px³' : 'px²';
+
+  const pvOptions = {
+    ...options,
+    scales: {
+      x: { type: 'linear', title: { display: true, text: `Volume (${lengthUnit})` } },
+      y: { min: 0, title: { display: true, text: `Pressure (energy units/${lengthUnit})` } },
+    },
+  };
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <strong>Gas properties</strong>
+      {latest ? (
+        <div style={{ fontSize: '13px', margin: '6px 0' }}>
+          <div>
+            Pressure: {(latest.pressure / ENERGY_SCALE).toExponential(3)} energy units/
+            {lengthUnit}
+            {dimensions === 2 ? ' (force per unit wall length)' : ''}
+          </div>
+          {/* kT in chart energy units is 2T/π. */}
+          <div>
+            Kinetic temperature: {((Math.PI * latest.kT) / (2 * ENERGY_SCALE)).toFixed(0)} K
+          </div>
+          <div>
+            Number density: {(count / volume).toExponential(3)} per {lengthUnit}
+          </div>
+          <div>
+            PV / NkT = {compressibility(latest.pressure, volume, count, latest.kT).toFixed(3)} ·
+            hard-particle estimate {(latest.hardParticle / latest.nkt).toFixed(3)}
+          </div>
+        </div>
+      ) : (
+        <div style={{ color: '#555', margin: '6px 0' }}>Measuring wall collisions…</div>
+      )}
+      <div style={{ position: 'relative', width: '100%', height: '220px' }}>
+        <Line data={data} options={options} />
+      </div>
+      {pv && (
+        <>
+          <div style={{ position: 'relative', width: '100%', height: '220px', marginTop: '10px' }}>
+            <Line data={pv.data} options={pvOptions} />
+          </div>
+          <div style={{ fontSize: '13px', marginTop: '4px' }}>
+            Work done on the gas along the path, −∫P dV: {pv.work >= 0 ? '+' : ''}
+            {pv.work.toFixed(1)} energy units
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ThermodynamicsPanel;
@@ -0,0 +1,218 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { DEFAULT_OPTIONS } from '../simulation/engine';
+import { FRAME_SECONDS } from '../simulation/host';
+import { boxGeometry, collisionFrequency, meanFreePath } from '../simulation/thermodynamics';
+
+// Longest speed series and collision log kept.
+const MAX_POINTS = 600;
+const MAX_EVENTS = 100;
+// Collision events listed under the chart.
+const SHOWN_EVENTS = 8;
+const ENERGY_SCALE = DEFAULT_OPTIONS.baseSpeedFactor ** 2;
+const cellStyle = { border: '1px solid #ddd', padding: '4px' };
+
+// Tracer for one particle (click it in the canvas): its speed over time and
+// its collisions, with a log of the latest collisions in the box. Below,
+// the mean free path and collision frequency measured since the particles
+// were placed, against kinetic theory for the current density and size.
+
+// Measured and kinetic-theory mean free path (px) and collision frequency
+// (per second) since `start`, the collision totals at an earlier sample.
+// Each collision ends two free paths.
+const measureFreePath = (sample, start) => {
+  const { collisionStats, time, radii, box, dimensions = 2 } = sample;
+  const N = radii.length;
+  const collisions = collisionStats.count - start.count;
+  const elapsed = time - start.time;
+  if (N === 0 || collisions === 0 || elapsed <= 0) return null;
+  const meanSpeed = sample.speeds.reduce((sum, v) => sum + v, 0) / N;
+  const diameter = (2 * radii.reduce((sum, r) => sum + r, 0)) / N;
+  const density = N / boxGeometry({ ...box, dimensions }).volume;
+  const theory = meanFreePath(density, diameter, dimensions);
+  return {
+    measured: (collisionStats.distance - start.distance) / (2 * collisions),
+    theory,
+    frequency: (2 * collisions) / (N * elapsed) / FRAME_SECONDS,
+    theoryFrequency: collisionFrequency(meanSpeed, theory) / FRAME_SECONDS,
+  };
+};
+
+const TracerPanel = ({ particleSample, species, tagged, onClearTag }) => {
+  const [speeds, setSpeeds] = useState([]);
+  // Latest collisions in the box, and all those of the tagged particle, with
+  // the number of events the engine's log dropped (many collisions per
+  // frame); the counts themselves are kept by the engine and complete.
+  const [events, setEvents] = useState([]);
+  const [taggedEvents, setTaggedEvents] = useState([]);
+  const [dropped, setDropped] = useState(0);
+  // Collision count of the tagged particle when it was tagged.
+  const [taggedStart, setTaggedStart] = useState(null);
+  // Collision totals when the measurement started, only read by the effect
+  // below, and the mean free path it measured from them.
+  const startRef = useRef(null);
+  const [freePath, setFreePath] = useState(null);
+
+  useEffect(() => {
+    setSpeeds([]);
+    setTaggedEvents([]);
+    setTaggedStart(null);
+  }, [tagged]);
+
+  useEffect(() => {
+    if (!particleSample || !particleSample.collisionStats) {
+      setFreePath(null);
+      return;
+    }
+    const { time, collisionStats, collisionEvents, collisions } = particleSample;
+    // Measure from the first sample, and again after fresh particles (whose
+    // totals start from zero) or a rewind to before the start.
+    const start = startRef.current;
+    if (!start || collisionStats.count < start.count || time < start.time) {
+      startRef.current = { time, ...collisionStats };
+      setEvents([]);
+      setDropped(0);
+    }
+    setFreePath(measureFreePath(particleSample, startRef.current));
+    if (particleSample.droppedCollisionEvents > 0) {
+      setDropped((prev) => prev + particleSample.droppedCollisionEvents);
+    }
+    if (collisionEvents.length > 0) {
+      setEvents((prev) => [...prev, ...collisionEvents].slice(-MAX_EVENTS));
+      const mine = collisionEvents.filter((e) => e.a === tagged || e.b === tagged);
+      if (mine.length > 0) setTaggedEvents((prev) => [...prev, ...mine]);
+    }
+    if (tagged !== null && collisions && tagged < collisions.length) {
+      // Fresh particles or a rewind can take the count below the start.
+      const count = collisions[tagged];
+      setTaggedStart((prev) => (prev === null || count < prev ? count : prev));
+    }
+    if (tagged !== null && tagged < particleSample.speeds.length) {
+      setSpeeds((prev) => {
+        let next = prev.filter((point) => point.time < time);
+        next.push({ time, speed: particleSample.speeds[tagged] });
+        if (next.length > MAX_POINTS) next = next.filter((_, i) => i % 2 === 0);
+        return next;
+      });
+    }
+  }, [particleSample, tagged]);
+
+  const data = useMemo(
+    () => ({
+      datasets: [
+        {
+          label: 'Tagged particle speed',
+          data: speeds.map((point) => ({ x: point.time * FRAME_SECONDS, y: point.speed })),
+          borderColor: '#007BFF',
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    }),
+    [speeds]
+  );
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'Time (s)' } },
+      y: { min: 0, title: { display: true, text: 'Speed (px/frame)' } },
+    },
+    plugins: {
+      legend: { display: false },
+      activationPlugin: { showActivation: false },
+    },
+  };
+
+  const name = (index) => {
+    const s = species[particleSample.species[index]];
+    return `${s ? s.name : 'Particle'} #${index}`;
+  };
+  const shown = (tagged === null ? events : taggedEvents).slice(-SHOWN_EVENTS).reverse();
+  const taggedCollisions =
+    particleSample && particleSample.collisions && taggedStart !== null
+      ? particleSample.collisions[tagged] - taggedStart
+      : taggedEvents.length;
+
+  return (
+    <div
+      style={{
+        padding: '10px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+        backgroundColor: '#fff',
+        fontSize: '14px',
+        textAlign: 'left',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <strong>Tracer</strong>
+        {tagged !== null && <button onClick={onClearTag}>Clear tag</button>}
+      </div>
+      {tagged === null || !particleSample ? (
+        <div style={{ color: '#555', marginBottom: '8px' }}>
+          Click a particle in the box to tag it and follow its path.
+        </div>
+      ) : (
+        <>
+          <div style={{ fontSize: '13px', marginBottom: '4px' }}>
+            {name(tagged)} · speed {particleSample.speeds[tagged].toFixed(2)} px/frame ·{' '}
+            {taggedCollisions} collisions since tagged
+          </div>
+          <div style={{ position: 'relative', width: '100%', height: '180px' }}>
+            <Line data={data} options={options} />
+          </div>
+        </>
+      )}
+      {freePath && (
+        <table
+          style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px', fontSize: '13px' }}
+        >
+          <thead>
+            <tr>
+              <th style={cellStyle}></th>
+              <th style={cellStyle}>Measured</th>
+              <th style={cellStyle}>Kinetic theory</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td style={cellStyle}>Mean free path (px)</td>
+              <td style={cellStyle}>{freePath.measured.toFixed(1)}</td>
+              <td style={cellStyle}>{freePath.theory.toFixed(1)}</td>
+            </tr>
+            <tr>
+              <td style={cellStyle}>Collisions per particle per second</td>
+              <td style={cellStyle}>{freePath.frequency.toFixed(2)}</td>
+              <td style={cellStyle}>{freePath.theoryFrequency.toFixed(2)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+      {shown.length > 0 && particleSample && (
+        <div style={{ fontSize: '12px', marginTop: '8px' }}>
+          <div style={{ fontWeight: 'bold' }}>
+            {tagged === null ? 'Latest collisions' : 'Latest collisions of the tagged particle'}
+          </div>
+          {shown.map((e) => (
+            <div key={`${e.time}-${e.a}-${e.b}`}>
+              t = {(e.time * FRAME_SECONDS).toFixed(2)} s: {name(e.a)} and {name(e.b)}, approach
+              energy {(e.energy / ENERGY_SCALE).toFixed(1)}
+            </div>
+          ))}
+          {dropped > 0 && (
+            <div style={{ color: '#555' }}>
+              {dropped} collisions were too many to log; the counts above include them.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TracerPanel;
@@ -0,0 +1,23 @@
+// Overlay toggles and display settings of MBDistributionChart. They live in
+// App so sessions, lab scripts and sweeps can read and set them.
+export const DEFAULT_CHART_SETTINGS = {
+  showMostProbable: false,
+  showAverage: false,
+  showActivation: false,
+  showCatalyst: false,
+  showHistogram: false,
+  binWidth: 25, // in classroom energy units, scaled with the axis
+  averagingWindow: 30, // samples averaged into the measured histogram
+  model: 'classroom', // 'classroom' or 'physical'
+  energyUnit: 'kJ/mol',
+  molarMass: 28, // g/mol, for the speed readouts of the physical model
+  view: 'energy', // one of the keys of DISTRIBUTION_VIEWS
+  logScale: false,
+  // Reaction kinetics. Classroom activation energies are in the classroom
+  // energy units of the axis, physical ones in kJ/mol.
+  classroomEa: 400,
+  classroomCatalystEa: 300,
+  physicalEa: 20,
+  physicalCatalystEa: 15,
+  preExponential: 1e10, // Arrhenius factor A; rate constants share its units
+};
@@ -0,0 +1,59 @@
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
+
+// Measured energy histograms drawn over the distribution curve.
+//
+// The canvas reports particle energies in sample units, E = ½·m·(v / b)²
+// with b the engine's baseSpeedFactor, in which the simulated gas has
+// kT = simulationThermalEnergy(T, b) / b² = 2T/π. The curves have their own
+// energy scale kT at the same temperature (kT in real units, or the
+// classroom T_eff), so samples are stretched by the ratio of the two before
+// binning; the histogram then relaxes onto the curve's shape.
+
+// kT of the simulated gas at temperature T, in sample energy units.
+export const sampleThermalEnergy = (T) => {
+  const { baseSpeedFactor } = DEFAULT_OPTIONS;
+  return simulationThermalEnergy(T, baseSpeedFactor) / baseSpeedFactor ** 2;
+};
+
+// Factor taking sample energies at temperature T onto an axis on which the
+// curve's energy scale is `axisKT`.
+export const sampleToAxisScale = (axisKT, T) => axisKT / sampleThermalEnergy(T);
+
+// Averages the bin counts over every sample in `history` and returns stepped
+// line points in molecules per unit energy, with a closing point at zero.
+// Each sample is scaled so a whole sample covers `area`, the area under the
+// curve it is drawn over, whatever the number of particles in the canvas;
+// energies at or beyond `xMax` are off the chart and not drawn, so the
+// histogram covers less than `area` by the share of the curve's tail there.
+export const buildHistogram = (history, binWidth, xMax, area) => {
+  const numBins = Math.ceil(xMax / binWidth);
+  const counts = new Array(numBins).fill(0);
+  history.forEach((energies) => {
+    const weight = energies.length ? area / energies.length : 0;
+    energies.forEach((E) => {
+      const bin = Math.floor(E / binWidth);
+      if (bin >= 0 && bin < numBins) counts[bin] += weight;
+    });
+  });
+  const samples = history.length || 1;
+  const points = counts.map((count, i) => ({
+    x: i * binWidth,
+    y: count / samples / binWidth,
+  }));
+  points.push({ x: numBins * binWidth, y: 0 });
+  return points;
+};
+
+// Share of all the energies in `history` at or above `threshold`, both in
+// sample units; null without samples.
+export const shareAbove = (history, threshold) => {
+  let count = 0;
+  let above = 0;
+  history.forEach((energies) => {
+    count += energies.length;
+    energies.forEach((E) => {
+      if (E >= threshold) above += 1;
+    });
+  });
+  return count > 0 ? above / count : null;
+};
@@ -0,0 +1,75 @@
+import { buildHistogram, sampleThermalEnergy, sampleToAxisScale, shareAbove } from './histogram';
+import { createEngine, getSpeeds } from '../simulation/engine';
+import {
+  classroomEffectiveTemperature,
+  energyStatistics,
+  thermalEnergy,
+} from '../simulation/theory';
+
+const area = (points) =>
+  points.slice(0, -1).reduce((sum, pt, i) => sum + pt.y * (points[i + 1].x - pt.x), 0);
+
+test('bins start at zero, are binWidth wide and end with a closing zero', () => {
+  const points = buildHistogram([[0, 5, 10, 25]], 10, 35, 4);
+  expect(points.map((pt) => pt.x)).toEqual([0, 10, 20, 30, 40]);
+  // 0 and 5 share the first bin; 10 starts the second.
+  expect(points.map((pt) => pt.y)).toEqual([0.2, 0.1, 0.1, 0, 0]);
+});
+
+test('the histogram covers the curve area whatever the number of particles', () => {
+  const history = [
+    [1, 2, 3],
+    [4, 5, 6, 7, 8, 9],
+  ];
+  expect(area(buildHistogram(history, 2, 10, 50))).toBeCloseTo(50, 10);
+  expect(area(buildHistogram([], 2, 10, 50))).toBe(0);
+});
+
+test('samples beyond the last bin are not drawn but still count', () => {
+  const points = buildHistogram([[1, 1, 99, 100]], 10, 50, 50);
+  expect(points).toHaveLength(6);
+  expect(area(points)).toBeCloseTo(25, 10);
+});
+
+test('classroom samples land on the curve energy scale', () => {
+  const T = 300;
+  const scale = sampleToAxisScale(classroomEffectiveTemperature(T), T);
+  expect(sampleThermalEnergy(T) * scale).toBeCloseTo(classroomEffectiveTemperature(T), 10);
+  expect(sampleThermalEnergy(T)).toBeCloseTo((2 * T) / Math.PI, 10);
+});
+
+// Sample energies of a 2D gas at T, every tenth frame once it has settled.
+const sampleEnergies = (T) => {
+  const engine = createEngine({ temperature: T, seed: 6 });
+  const { baseSpeedFactor } = engine.config;
+  const energies = [];
+  for (let i = 1; i <= 1200; i++) {
+    engine.step(1);
+    if (i > 600 && i % 10 === 0) {
+      getSpeeds(engine.getParticles()).forEach((v, index) => {
+        const { mass } = engine.getParticles()[index];
+        energies.push(0.5 * mass * (v / baseSpeedFactor) ** 2);
+      });
+    }
+  }
+  return energies;
+};
+
+test('measured energies in physical units have the equipartition mean', () => {
+  const T = 300;
+  const energies = sampleEnergies(T);
+  const kT = thermalEnergy(T, 'kJ/mol');
+  const mean =
+    (energies.reduce((sum, E) => sum + E, 0) / energies.length) * sampleToAxisScale(kT, T);
+  expect(mean / energyStatistics(kT, 2).mean).toBeCloseTo(1, 2);
+});
+
+test('the measured share above a threshold follows the Boltzmann tail', () => {
+  expect(shareAbove([], 1)).toBeNull();
+  expect(shareAbove([[0.5, 1, 2], [3]], 1)).toBe(0.75);
+  // In 2D the share above E is exp(−E/kT).
+  const T = 300;
+  const share = shareAbove([sampleEnergies(T)], 2 * sampleThermalEnergy(T));
+  expect(share).toBeGreaterThan(0.8 * Math.exp(-2));
+  expect(share).toBeLessThan(1.2 * Math.exp(-2));
+});
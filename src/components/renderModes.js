@@ -0,0 +1,61 @@
+import { DEFAULT_OPTIONS, simulationThermalEnergy } from '../simulation/engine';
+import { TEMPERATURE_RANGE, temperatureColor } from './snapshots';
+
+// How SimulationCanvas colors its particles.
+export const COLOR_MODES = {
+  species: 'Species color',
+  speed: 'Speed',
+  energy: 'Kinetic energy',
+  activation: 'Above activation energy',
+};
+
+// Particles above the activation energy, in the color of the chart's
+// activation line, and the rest.
+export const ACTIVATED_COLOR = '#28a745';
+export const INACTIVE_COLOR = '#b8bec6';
+
+// Above this many particles the canvas draws in batches even when the fast
+// mode is off; gradients and shadows cost more than the physics there.
+export const FAST_DRAW_COUNT = 2000;
+
+// Colors the batched mode rounds the speed and energy scales to, so the
+// whole box takes a handful of paths.
+export const COLOR_STEPS = 16;
+
+// Speed and energy colors reuse the chart's temperature scale, blue at the
+// bottom of the slider and red at the top: a particle is colored as the
+// temperature at which its speed would be the mean speed of a unit-mass
+// particle (v = baseSpeedFactor·√T), or its energy the mean energy,
+// dimensions/2 · kT in the chart's energy units. `min` and `max` are the
+// values at the two ends of the scale, for the legend.
+export const colorScale = (mode, dimensions = 2) => {
+  const { baseSpeedFactor } = DEFAULT_OPTIONS;
+  if (mode === 'speed') {
+    const toValue = (T) => baseSpeedFactor * Math.sqrt(T);
+    return {
+      min: toValue(TEMPERATURE_RANGE.min),
+      max: toValue(TEMPERATURE_RANGE.max),
+      unit: 'px/frame',
+      temperatureOf: (speed) => (speed / baseSpeedFactor) ** 2,
+    };
+  }
+  // Mean energy per kelvin, in chart units.
+  const perKelvin =
+    ((dimensions / 2) * simulationThermalEnergy(1, baseSpeedFactor)) / baseSpeedFactor ** 2;
+  return {
+    min: TEMPERATURE_RANGE.min * perKelvin,
+    max: TEMPERATURE_RANGE.max * perKelvin,
+    unit: 'energy units',
+    temperatureOf: (speed, energy) => energy / perKelvin,
+  };
+};
+
+// Color on the scale for a speed and energy (chart units); with `steps`,
+// rounded to that many colors along the scale.
+export const scaleColor = (scale, speed, energy, steps = 0) => {
+  const T = scale.temperatureOf(speed, energy);
+  if (!steps) return temperatureColor(T);
+  const { min, max } = TEMPERATURE_RANGE;
+  const ratio = Math.min(1, Math.max(0, (T - min) / (max - min)));
+  return temperatureColor(min + (Math.round(ratio * (steps - 1)) / (steps - 1)) * (max - min));
+};
@@ -0,0 +1,26 @@
+import { colorScale, scaleColor } from './renderModes';
+import { temperatureColor } from './snapshots';
+
+test('speeds are colored as the temperature with that mean speed', () => {
+  const scale = colorScale('speed');
+  // v = 0.5·√T: 5 px/frame is the mean speed at 100 K, 10 at 400 K.
+  expect(scale.min).toBeCloseTo(5, 10);
+  expect(scaleColor(scale, 5, 0)).toBe(temperatureColor(100));
+  expect(scaleColor(scale, 10, 0)).toBe(temperatureColor(400));
+});
+
+test('energies are colored as the temperature with that mean energy', () => {
+  // Mean energy dimensions/2 · kT, with kT = 2T/π in chart units.
+  const flat = colorScale('energy', 2);
+  expect(flat.min).toBeCloseTo(200 / Math.PI, 10);
+  expect(scaleColor(flat, 0, 600 / Math.PI)).toBe(temperatureColor(300));
+  expect(colorScale('energy', 3).max).toBeCloseTo(1500 / Math.PI, 10);
+});
+
+test('batched colors are rounded to a few steps along the scale', () => {
+  const scale = colorScale('speed');
+  const colors = new Set();
+  for (let v = 0; v < 20; v += 0.01) colors.add(scaleColor(scale, v, 0, 4));
+  expect(colors.size).toBe(4);
+  expect(scaleColor(scale, 50, 0, 4)).toBe(temperatureColor(500));
+});
@@ -0,0 +1,34 @@
+// Saved temperature curves overlaid on the distribution chart. A snapshot
+// keeps its temperature, a display label and color, whether it is shown,
+// and optionally the measured histogram at the moment it was taken. The
+// histogram is stored in the sample energy units of the canvas, covering
+// CLASSROOM_PARTICLES molecules, so it can be redrawn under either curve
+// model (see histogram.js).
+export const createSnapshot = (temperature, snapshots, histogram = null) => ({
+  id: snapshots.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+  temperature,
+  label: '',
+  color: null, // null picks a color from the temperature
+  visible: true,
+  histogram, // null, or stepped [{ x, y }] points in molecules per unit energy
+});
+
+export const snapshotLabel = (snapshot) => snapshot.label || `T = ${snapshot.temperature} K`;
+
+// Range of the temperature slider. Automatic colors (as #rrggbb, so they
+// can be pinned with a color input) run from blue at the bottom to red at
+// the top; temperatures outside the range (from sessions or sweeps) widen
+// it rather than overflow the color scale.
+export const TEMPERATURE_RANGE = { min: 100, max: 500 };
+
+export const temperatureColor = (T, temperatures = []) => {
+  const min = Math.min(TEMPERATURE_RANGE.min, ...temperatures);
+  const max = Math.max(TEMPERATURE_RANGE.max, ...temperatures);
+  const ratio = Math.min(1, Math.max(0, (T - min) / (max - min)));
+  const hex = (value) => Math.round(value * 255).toString(16).padStart(2, '0');
+  return `#${hex(ratio)}00${hex(1 - ratio)}`;
+};
+
+// Pinned color, or the automatic one for the snapshot's temperature.
+export const snapshotColor = (snapshot, temperatures) =>
+  snapshot.color || temperatureColor(snapshot.temperature, temperatures);
@@ -0,0 +1,18 @@
+import { createSnapshot, snapshotColor, temperatureColor } from './snapshots';
+
+test('automatic colors span the slider range and stay valid outside it', () => {
+  expect(temperatureColor(100)).toBe('#0000ff');
+  expect(temperatureColor(500)).toBe('#ff0000');
+  // A 1000 K snapshot widens the range instead of overflowing the scale.
+  expect(temperatureColor(1000, [1000])).toBe('#ff0000');
+  expect(temperatureColor(500, [1000])).toMatch(/^#[0-9a-f]{6}$/);
+  expect(temperatureColor(500, [1000])).not.toBe('#ff0000');
+});
+
+test('snapshots get unique ids and keep a pinned color', () => {
+  const first = createSnapshot(300, []);
+  const second = createSnapshot(400, [first]);
+  expect(second.id).not.toBe(first.id);
+  expect(snapshotColor({ ...second, color: '#123456' }, [])).toBe('#123456');
+  expect(snapshotColor(second, [])).toBe(temperatureColor(400));
+});
@@ -0,0 +1,32 @@
+// Moving the activation-energy lines on the distribution chart, by mouse
+// or touch drag and from the keyboard. Values are in axis units; stored
+// values are rounded to one decimal so the sliders and inputs show them.
+
+export const DRAG_TOLERANCE = 8; // px either side of a line that starts a drag
+
+// Index of the threshold whose line is nearest the pixel `px` on the x
+// scale, or -1 when none is within DRAG_TOLERANCE.
+export const thresholdNear = (x, thresholds, px) => {
+  let nearest = -1;
+  let best = DRAG_TOLERANCE;
+  thresholds.forEach((threshold, index) => {
+    const distance = Math.abs(x.getPixelForValue(threshold.value) - px);
+    if (distance <= best) {
+      best = distance;
+      nearest = index;
+    }
+  });
+  return nearest;
+};
+
+// Value under the pointer at pixel `px`, kept on the axis [0, xMax].
+export const dragValue = (x, px, xMax) => Math.min(xMax, Math.max(0, x.getValueForPixel(px)));
+
+// A dragged value rounded to the threshold's step.
+export const roundToStep = (value, step) =>
+  Number(Math.max(0, Math.round(value / step) * step).toFixed(1));
+
+// One arrow-key step right (direction 1) or left (-1); `coarse` (Shift)
+// moves ten steps. Never goes below zero.
+export const stepThreshold = (value, step, direction, coarse) =>
+  Number(Math.max(0, value + direction * step * (coarse ? 10 : 1)).toFixed(1));
@@ -0,0 +1,37 @@
+import { DRAG_TOLERANCE, dragValue, roundToStep, stepThreshold, thresholdNear } from './thresholds';
+
+// A linear x scale with the axis starting at pixel 50, two pixels per unit.
+const x = {
+  getPixelForValue: (value) => 50 + 2 * value,
+  getValueForPixel: (px) => (px - 50) / 2,
+};
+
+test('a drag starts only within DRAG_TOLERANCE pixels of a line, picking the nearest', () => {
+  const thresholds = [{ value: 100 }, { value: 110 }]; // at 250 px and 270 px
+  expect(DRAG_TOLERANCE).toBe(8);
+  expect(thresholdNear(x, thresholds, 250)).toBe(0);
+  expect(thresholdNear(x, thresholds, 250 - DRAG_TOLERANCE)).toBe(0);
+  expect(thresholdNear(x, thresholds, 250 - DRAG_TOLERANCE - 1)).toBe(-1);
+  expect(thresholdNear(x, thresholds, 263)).toBe(1);
+  expect(thresholdNear(x, thresholds, 278)).toBe(1);
+  expect(thresholdNear(x, thresholds, 279)).toBe(-1);
+  expect(thresholdNear(x, [], 250)).toBe(-1);
+});
+
+test('dragged values stay on the axis and round to the step', () => {
+  expect(dragValue(x, 250, 400)).toBe(100);
+  expect(dragValue(x, 10, 400)).toBe(0);
+  expect(dragValue(x, 2000, 400)).toBe(400);
+  expect(roundToStep(123.46, 1)).toBe(123);
+  expect(roundToStep(12.345, 0.1)).toBe(12.3);
+  expect(roundToStep(-3, 1)).toBe(0);
+});
+
+test('arrow keys move by one step, or ten with Shift, never below zero', () => {
+  expect(stepThreshold(50, 1, 1, false)).toBe(51);
+  expect(stepThreshold(50, 1, -1, true)).toBe(40);
+  expect(stepThreshold(5, 1, -1, true)).toBe(0);
+  // Rounded to one decimal, without floating-point residue.
+  expect(stepThreshold(0.2, 0.1, 1, false)).toBe(0.3);
+  expect(stepThreshold(12.3, 0.1, -1, true)).toBe(11.3);
+});
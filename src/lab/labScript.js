@@ -0,0 +1,255 @@
+import { DEFAULT_CHART_SETTINGS } from '../components/chartSettings';
+import { toCSV } from '../utils/csv';
+
+// Lab scripts (worksheets) are JSON files a teacher writes:
+//
+//   {
+//     "format": "maxwell-boltzmann-lab",
+//     "version": 1,
+//     "title": "…",
+//     "steps": [
+//       {
+//         "title": "Warm the gas",
+//         "instruction": "…",
+//         "set": { "temperature": 400, "dimensions": 3, "chart": { "showActivation": true } },
+//         "actions": ["snapshot", "recordData"],
+//         "question": { … }
+//       }
+//     ]
+//   }
+//
+// Entering a step applies its settings, then runs its actions. Questions
+// are "text" (not marked), "choice" (`choices` and the index of the right
+// `answer`) or "number", marked against a fixed `answer` or against a
+// `check` of the live values ({ "source": "live", "quantity": … }) or of a
+// Record Data row ({ "source": "recorded", "field": …, "row": -1 }, rows
+// counted from the end when negative). Numbers are right within
+// `tolerance`, relative to the expected value (5% by default), or within
+// `absoluteTolerance` of it (0.01 by default), which marks answers to
+// values that are zero, like the most probable energy of a 2D gas.
+export const LAB_FORMAT = 'maxwell-boltzmann-lab';
+export const LAB_VERSION = 1;
+export const DEFAULT_TOLERANCE = 0.05;
+export const DEFAULT_ABSOLUTE_TOLERANCE = 0.01;
+
+export const LAB_ACTIONS = ['snapshot', 'recordData'];
+export const QUESTION_TYPES = ['text', 'choice', 'number'];
+
+// Values a "live" check can read, as shown on the chart at answer time.
+export const LIVE_QUANTITIES = {
+  temperature: 'Temperature (K)',
+  mostProbableEnergy: 'Most probable energy',
+  meanEnergy: 'Mean energy',
+  activationEnergy: 'Activation energy',
+  percentageAbove: '% of molecules above Ea',
+  measuredMeanEnergy: 'Measured mean energy of the particles',
+};
+
+export class LabScriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabScriptError';
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validateQuestion = (question, where, errors) => {
+  if (!isObject(question)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (typeof question.prompt !== 'string' || question.prompt === '') {
+    errors.push(`${where}.prompt must be some text`);
+  }
+  const type = question.type ?? 'text';
+  if (!QUESTION_TYPES.includes(type)) {
+    errors.push(`${where}.type "${type}" is unknown`);
+  } else if (type === 'choice') {
+    if (!Array.isArray(question.choices) || question.choices.length < 2) {
+      errors.push(`${where}.choices must list at least two answers`);
+    } else if (
+      !Number.isInteger(question.answer) ||
+      question.answer < 0 ||
+      question.answer >= question.choices.length
+    ) {
+      errors.push(`${where}.answer must be the index of one of the choices`);
+    }
+  } else if (type === 'number') {
+    const { answer, check, tolerance } = question;
+    if ((answer === undefined) === (check === undefined)) {
+      errors.push(`${where} needs either an "answer" or a "check"`);
+    } else if (answer !== undefined && !isNumber(answer)) {
+      errors.push(`${where}.answer must be a number`);
+    } else if (check !== undefined) {
+      if (!isObject(check)) {
+        errors.push(`${where}.check must be an object`);
+      } else if (check.source === 'live') {
+        if (!(check.quantity in LIVE_QUANTITIES)) {
+          errors.push(`${where}.check.quantity "${check.quantity}" is unknown`);
+        }
+      } else if (check.source === 'recorded') {
+        if (typeof check.field !== 'string') {
+          errors.push(`${where}.check.field must name a Record Data column`);
+        }
+        if (check.row !== undefined && !Number.isInteger(check.row)) {
+          errors.push(`${where}.check.row must be a whole number`);
+        }
+      } else {
+        errors.push(`${where}.check.source must be "live" or "recorded"`);
+      }
+    }
+    if (tolerance !== undefined && (!isNumber(tolerance) || tolerance < 0)) {
+      errors.push(`${where}.tolerance must be a non-negative number`);
+    }
+    const { absoluteTolerance } = question;
+    if (
+      absoluteTolerance !== undefined &&
+      (!isNumber(absoluteTolerance) || absoluteTolerance < 0)
+    ) {
+      errors.push(`${where}.absoluteTolerance must be a non-negative number`);
+    }
+  }
+};
+
+const validateStep = (step, index, errors) => {
+  const where = `steps[${index}]`;
+  if (!isObject(step)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (step.instruction !== undefined && typeof step.instruction !== 'string') {
+    errors.push(`${where}.instruction must be text`);
+  }
+  if (step.set !== undefined) {
+    if (!isObject(step.set)) {
+      errors.push(`${where}.set must be an object`);
+    } else {
+      const { temperature, dimensions, chart } = step.set;
+      if (temperature !== undefined && (!isNumber(temperature) || temperature <= 0)) {
+        errors.push(`${where}.set.temperature must be a positive number`);
+      }
+      if (dimensions !== undefined && dimensions !== 2 && dimensions !== 3) {
+        errors.push(`${where}.set.dimensions must be 2 or 3`);
+      }
+      if (chart !== undefined && !isObject(chart)) {
+        errors.push(`${where}.set.chart must be an object`);
+      } else if (chart) {
+        Object.keys(chart).forEach((key) => {
+          if (!(key in DEFAULT_CHART_SETTINGS)) {
+            errors.push(`${where}.set.chart.${key} is not a chart setting`);
+          } else if (typeof chart[key] !== typeof DEFAULT_CHART_SETTINGS[key]) {
+            errors.push(`${where}.set.chart.${key} has the wrong type`);
+          }
+        });
+      }
+    }
+  }
+  if (step.actions !== undefined) {
+    if (!Array.isArray(step.actions)) {
+      errors.push(`${where}.actions must be a list`);
+    } else {
+      step.actions
+        .filter((action) => !LAB_ACTIONS.includes(action))
+        .forEach((action) => errors.push(`${where}.actions: "${action}" is unknown`));
+    }
+  }
+  if (step.question !== undefined) validateQuestion(step.question, `${where}.question`, errors);
+};
+
+// Parse and validate a lab script. Throws a LabScriptError listing every
+// problem, so the teacher can fix the file in one go.
+export const parseLabScript = (text) => {
+  let script;
+  try {
+    script = JSON.parse(text);
+  } catch (error) {
+    throw new LabScriptError(`The file is not valid JSON (${error.message}).`);
+  }
+  if (!isObject(script) || script.format !== LAB_FORMAT) {
+    throw new LabScriptError('This file is not a Maxwell–Boltzmann lab script.');
+  }
+  if (script.version > LAB_VERSION) {
+    throw new LabScriptError(
+      `This lab script needs a newer version of the app (format v${script.version}).`
+    );
+  }
+  const errors = [];
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    errors.push('"steps" must be a non-empty list');
+  } else {
+    script.steps.forEach((step, index) => validateStep(step, index, errors));
+  }
+  if (errors.length > 0) {
+    throw new LabScriptError(`The lab script is invalid: ${errors.join('; ')}.`);
+  }
+  return {
+    title: typeof script.title === 'string' ? script.title : 'Lab',
+    steps: script.steps.map((step, index) => ({
+      title: step.title ?? `Step ${index + 1}`,
+      instruction: step.instruction ?? '',
+      set: step.set ?? {},
+      actions: step.actions ?? [],
+      question: step.question ? { type: 'text', ...step.question } : null,
+    })),
+  };
+};
+
+// Value a "number" question expects: its fixed answer, or the checked live
+// or recorded value. `values` is { live, recorded }; null when missing.
+export const expectedValue = (question, values) => {
+  if (question.answer !== undefined) return question.answer;
+  const { check } = question;
+  if (check.source === 'live') {
+    const value = values.live ? values.live[check.quantity] : undefined;
+    return isNumber(value) ? value : null;
+  }
+  const rows = values.recorded;
+  const index = (check.row ?? -1) < 0 ? rows.length + (check.row ?? -1) : check.row;
+  const value = rows[index] ? Number(rows[index][check.field]) : NaN;
+  return Number.isFinite(value) ? value : null;
+};
+
+// Mark a response. `correct` is null for questions that are not marked,
+// or when the value to check against is not available yet.
+export const checkAnswer = (question, response, values) => {
+  if (question.type === 'choice') {
+    return { correct: response === question.answer, expected: question.choices[question.answer] };
+  }
+  if (question.type !== 'number') return { correct: null, expected: null };
+  const expected = expectedValue(question, values);
+  const number = parseFloat(response);
+  if (expected === null || !Number.isFinite(number)) return { correct: null, expected };
+  const tolerance = Math.max(
+    (question.tolerance ?? DEFAULT_TOLERANCE) * Math.abs(expected),
+    question.absoluteTolerance ?? DEFAULT_ABSOLUTE_TOLERANCE
+  );
+  return { correct: Math.abs(number - expected) <= tolerance, expected };
+};
+
+// Student progress as CSV: one row per step, answered or not. `responses`
+// holds the latest answer to each step by index.
+export const progressToCSV = (script, responses, student = '') => {
+  const rows = script.steps.map((step, index) => {
+    const entry = responses[index];
+    const answer =
+      entry && step.question && step.question.type === 'choice'
+        ? step.question.choices[entry.response]
+        : null;
+    return [
+      student,
+      index + 1,
+      step.title,
+      step.question ? step.question.prompt : '',
+      entry ? (answer ?? entry.response) : '',
+      entry && entry.expected !== null ? entry.expected : '',
+      entry && entry.correct !== null ? (entry.correct ? 'yes' : 'no') : '',
+      entry ? entry.answeredAt : '',
+    ];
+  });
+  return toCSV(
+    ['Student', 'Step', 'Title', 'Question', 'Answer', 'Expected', 'Correct', 'Answered at'],
+    rows
+  );
+};
@@ -0,0 +1,123 @@
+import {
+  checkAnswer,
+  LAB_FORMAT,
+  LabScriptError,
+  parseLabScript,
+  progressToCSV,
+} from './labScript';
+import exampleLab from './exampleLab.json';
+
+const makeScript = (steps) => JSON.stringify({ format: LAB_FORMAT, version: 1, steps });
+
+test('the bundled example lab is valid', () => {
+  const script = parseLabScript(JSON.stringify(exampleLab));
+  expect(script.title).toBe(exampleLab.title);
+  expect(script.steps).toHaveLength(exampleLab.steps.length);
+});
+
+test('steps get default titles, settings, actions and question type', () => {
+  const script = parseLabScript(makeScript([{ question: { prompt: 'Why?' } }]));
+  expect(script.steps[0]).toEqual({
+    title: 'Step 1',
+    instruction: '',
+    set: {},
+    actions: [],
+    question: { type: 'text', prompt: 'Why?' },
+  });
+});
+
+test('files that are not lab scripts are rejected', () => {
+  expect(() => parseLabScript('{')).toThrow(LabScriptError);
+  expect(() => parseLabScript(JSON.stringify({ format: 'other', steps: [] }))).toThrow(
+    /not a Maxwell–Boltzmann lab script/
+  );
+});
+
+test('every problem in a script is reported at once', () => {
+  const text = makeScript([
+    { set: { temperature: -5, dimensions: 1, chart: { showActivation: 'yes', sparkles: true } } },
+    { actions: ['dance'] },
+    { question: { prompt: 'Pick', type: 'choice', choices: ['a', 'b'], answer: 2 } },
+    { question: { prompt: 'How many?', type: 'number' } },
+    { question: { prompt: 'Ea?', type: 'number', check: { source: 'live', quantity: 'x' } } },
+  ]);
+  let message = '';
+  try {
+    parseLabScript(text);
+  } catch (error) {
+    message = error.message;
+  }
+  expect(message).toMatch(/steps\[0\]\.set\.temperature/);
+  expect(message).toMatch(/steps\[0\]\.set\.dimensions must be 2 or 3/);
+  expect(message).toMatch(/steps\[0\]\.set\.chart\.showActivation has the wrong type/);
+  expect(message).toMatch(/steps\[0\]\.set\.chart\.sparkles is not a chart setting/);
+  expect(message).toMatch(/steps\[1\]\.actions: "dance"/);
+  expect(message).toMatch(/steps\[2\]\.question\.answer/);
+  expect(message).toMatch(/steps\[3\]\.question needs either/);
+  expect(message).toMatch(/steps\[4\]\.question\.check\.quantity "x"/);
+});
+
+test('number answers are marked against live values within the tolerance', () => {
+  const question = {
+    type: 'number',
+    prompt: 'Mode?',
+    check: { source: 'live', quantity: 'mostProbableEnergy' },
+    tolerance: 0.1,
+  };
+  const values = { live: { mostProbableEnergy: 150 }, recorded: [] };
+  expect(checkAnswer(question, '160', values)).toEqual({ correct: true, expected: 150 });
+  expect(checkAnswer(question, '170', values).correct).toBe(false);
+  expect(checkAnswer(question, 'lots', values).correct).toBeNull();
+});
+
+test('answers to a value of zero are marked within an absolute tolerance', () => {
+  const question = {
+    type: 'number',
+    prompt: 'Mode?',
+    check: { source: 'live', quantity: 'mostProbableEnergy' },
+    tolerance: 0.1,
+  };
+  const values = { live: { mostProbableEnergy: 0 }, recorded: [] };
+  expect(checkAnswer(question, '0', values).correct).toBe(true);
+  expect(checkAnswer(question, '0.005', values).correct).toBe(true);
+  expect(checkAnswer(question, '0.5', values).correct).toBe(false);
+  expect(checkAnswer({ ...question, absoluteTolerance: 1 }, '0.5', values).correct).toBe(true);
+});
+
+test('recorded checks read a Record Data row, counted from the end by default', () => {
+  const question = {
+    type: 'number',
+    prompt: '% above?',
+    check: { source: 'recorded', field: 'percentageAbove' },
+  };
+  const recorded = [{ percentageAbove: '1.20' }, { percentageAbove: '4.00' }];
+  expect(checkAnswer(question, '4.1', { recorded })).toEqual({ correct: true, expected: 4 });
+  const first = { ...question, check: { ...question.check, row: 0 } };
+  expect(checkAnswer(first, '4.1', { recorded }).expected).toBe(1.2);
+  expect(checkAnswer(question, '4', { recorded: [] })).toEqual({ correct: null, expected: null });
+});
+
+test('choices are marked by index and text answers are not marked', () => {
+  const choice = { type: 'choice', prompt: 'Up?', choices: ['no', 'yes'], answer: 1 };
+  expect(checkAnswer(choice, 1, {})).toEqual({ correct: true, expected: 'yes' });
+  expect(checkAnswer(choice, 0, {}).correct).toBe(false);
+  expect(checkAnswer({ type: 'text', prompt: 'Why?' }, 'Because', {}).correct).toBeNull();
+});
+
+test('progress exports one row per step with the answers given', () => {
+  const script = parseLabScript(
+    makeScript([
+      { title: 'Intro' },
+      { question: { prompt: 'Up?', type: 'choice', choices: ['no', 'yes'], answer: 1 } },
+      { question: { prompt: 'Mode?', type: 'number', answer: 150 } },
+    ])
+  );
+  const responses = {
+    1: { response: 1, correct: true, expected: 'yes', answeredAt: '2024-01-01T10:00:00Z' },
+  };
+  const lines = progressToCSV(script, responses, 'Ada').trim().split('\r\n');
+  expect(lines[0]).toBe('Student,Step,Title,Question,Answer,Expected,Correct,Answered at');
+  expect(lines[1]).toBe('Ada,1,Intro,,,,,');
+  expect(lines[2]).toBe('Ada,2,Step 2,Up?,yes,yes,yes,2024-01-01T10:00:00Z');
+  expect(lines[3]).toBe('Ada,3,Step 3,Mode?,,,,');
+});
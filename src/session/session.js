@@ -0,0 +1,282 @@
+import { DEFAULT_CHART_SETTINGS } from '../components/chartSettings';
+import { createSnapshot } from '../components/snapshots';
+import {
+  BOX_SIZE_RANGE,
+  DEFAULT_OPTIONS,
+  GRAVITY_RANGE,
+  MIN_BOX_WIDTH,
+  THERMOSTATS,
+} from '../simulation/engine';
+import { DEFAULT_REACTION_SETTINGS } from '../simulation/reactions';
+
+// Versioned experiment session files: app settings, chart overlays,
+// snapshots, recorded rows and optionally the full particle state.
+// Bump SESSION_VERSION when the shape changes and add a migration from
+// the previous version to MIGRATIONS.
+
+export const SESSION_FORMAT = 'maxwell-boltzmann-session';
+export const SESSION_VERSION = 3;
+export const AUTOSAVE_KEY = 'maxwell-boltzmann-session';
+
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// MIGRATIONS[n] turns a version n session into a version n + 1 session.
+const MIGRATIONS = {
+  // v2: snapshots became objects with a label, color, visibility and an
+  // optional measured histogram instead of bare temperatures.
+  1: (session) => ({
+    ...session,
+    version: 2,
+    snapshots: Array.isArray(session.snapshots)
+      ? session.snapshots.reduce(
+          (list, temperature) => [...list, createSnapshot(temperature, list)],
+          []
+        )
+      : session.snapshots,
+  }),
+  // v3: the piston ({ target, speed, position } or null) and the partition
+  // of the two-chamber experiments (or null) are saved with the settings.
+  2: (session) => ({
+    ...session,
+    version: 3,
+    settings: isObject(session.settings)
+      ? { piston: null, partition: null, ...session.settings }
+      : session.settings,
+  }),
+};
+
+export const createSession = ({
+  settings,
+  chartSettings,
+  snapshots,
+  recordedData,
+  particleState = null,
+}) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  savedAt: new Date().toISOString(),
+  settings,
+  chart: chartSettings,
+  snapshots,
+  recordedData,
+  particles: particleState,
+});
+
+export const serializeSession = (session) => JSON.stringify(session, null, 2);
+
+const isValidSpecies = (s) =>
+  isObject(s) &&
+  isNumber(s.mass) &&
+  s.mass > 0 &&
+  isNumber(s.radius) &&
+  s.radius > 0 &&
+  Number.isInteger(s.count) &&
+  s.count >= 0 &&
+  typeof s.color === 'string';
+
+const isValidPiston = (p) =>
+  isObject(p) &&
+  (p.target === null || (isNumber(p.target) && p.target >= MIN_BOX_WIDTH)) &&
+  isNumber(p.speed) &&
+  p.speed > 0 &&
+  isNumber(p.position) &&
+  p.position >= MIN_BOX_WIDTH;
+
+const isValidPartition = (p) =>
+  isObject(p) &&
+  isNumber(p.position) &&
+  p.position > 0 &&
+  isNumber(p.hole) &&
+  p.hole >= 0 &&
+  typeof p.open === 'boolean';
+
+const isValidSnapshot = (s) =>
+  isObject(s) &&
+  Number.isInteger(s.id) &&
+  isNumber(s.temperature) &&
+  typeof s.visible === 'boolean' &&
+  (s.histogram === null || Array.isArray(s.histogram));
+
+// Collect every problem rather than stopping at the first, so the message
+// tells the user how damaged the file is.
+const validateSession = (session) => {
+  const errors = [];
+  const { settings, chart, snapshots, recordedData, particles } = session;
+
+  if (!isObject(settings)) {
+    errors.push('"settings" is missing');
+  } else {
+    if (!isNumber(settings.temperature) || settings.temperature <= 0) {
+      errors.push('settings.temperature must be a positive number');
+    }
+    if (!(settings.thermostat in THERMOSTATS)) {
+      errors.push(`settings.thermostat "${settings.thermostat}" is unknown`);
+    }
+    if (!isNumber(settings.restitution) || settings.restitution < 0 || settings.restitution > 1) {
+      errors.push('settings.restitution must be between 0 and 1');
+    }
+    const { gravity } = settings;
+    if (
+      gravity !== undefined &&
+      !(isNumber(gravity) && gravity >= GRAVITY_RANGE.min && gravity <= GRAVITY_RANGE.max)
+    ) {
+      errors.push(`settings.gravity must be between ${GRAVITY_RANGE.min} and ${GRAVITY_RANGE.max}`);
+    }
+    if (!Array.isArray(settings.species) || settings.species.length === 0) {
+      errors.push('settings.species must be a non-empty list');
+    } else {
+      settings.species.forEach((s, i) => {
+        if (!isValidSpecies(s)) {
+          errors.push(`settings.species[${i}] needs a positive mass and radius, a count and a color`);
+        }
+      });
+    }
+    const { reaction } = settings;
+    if (
+      reaction !== undefined &&
+      !(
+        isObject(reaction) &&
+        typeof reaction.enabled === 'boolean' &&
+        Number.isInteger(reaction.reactant) &&
+        Number.isInteger(reaction.product) &&
+        isNumber(reaction.heat)
+      )
+    ) {
+      errors.push('settings.reaction needs enabled, reactant, product and heat');
+    }
+    if (settings.dimensions !== undefined && ![2, 3].includes(settings.dimensions)) {
+      errors.push('settings.dimensions must be 2 or 3');
+    }
+    const { box } = settings;
+    const inRange = (size) =>
+      isNumber(size) && size >= BOX_SIZE_RANGE.min && size <= BOX_SIZE_RANGE.max;
+    if (box !== undefined && !(isObject(box) && inRange(box.width) && inRange(box.height))) {
+      errors.push(
+        `settings.box needs a width and height from ${BOX_SIZE_RANGE.min} to ${BOX_SIZE_RANGE.max}`
+      );
+    }
+    if (settings.piston !== null && !isValidPiston(settings.piston)) {
+      errors.push('settings.piston needs a target, a positive speed and a position');
+    }
+    if (settings.partition !== null && !isValidPartition(settings.partition)) {
+      errors.push('settings.partition needs a position, a hole size and whether it is open');
+    }
+  }
+
+  if (chart !== undefined && !isObject(chart)) {
+    errors.push('"chart" must be an object');
+  } else if (chart) {
+    Object.keys(chart).forEach((key) => {
+      if (!(key in DEFAULT_CHART_SETTINGS)) return;
+      if (typeof chart[key] !== typeof DEFAULT_CHART_SETTINGS[key]) {
+        errors.push(`chart.${key} has the wrong type`);
+      }
+    });
+  }
+
+  if (!Array.isArray(snapshots) || !snapshots.every(isValidSnapshot)) {
+    errors.push('"snapshots" must be a list of snapshots with an id and a temperature');
+  }
+
+  if (!Array.isArray(recordedData) || !recordedData.every(isObject)) {
+    errors.push('"recordedData" must be a list of rows');
+  } else {
+    recordedData.forEach((row, i) => {
+      if (!isNumber(row.temperature)) errors.push(`recordedData[${i}] has no temperature`);
+    });
+  }
+
+  if (particles !== null && particles !== undefined) {
+    if (!isObject(particles) || !isObject(particles.config) || !Array.isArray(particles.particles)) {
+      errors.push('"particles" must be a saved engine state');
+    } else if (
+      !particles.particles.every((p) =>
+        ['x', 'y', 'vx', 'vy', 'radius', 'mass'].every((key) => isNumber(p[key]))
+      )
+    ) {
+      errors.push('"particles" contains a particle with missing or invalid values');
+    }
+  }
+
+  return errors;
+};
+
+// Parse and validate session JSON, migrating older versions. Throws a
+// SessionError with a message suitable for showing to the user.
+export const parseSession = (text) => {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new SessionError(`The file is not valid JSON (${error.message}).`);
+  }
+  if (!isObject(session) || session.format !== SESSION_FORMAT) {
+    throw new SessionError('This file is not a Maxwell–Boltzmann session.');
+  }
+  if (!Number.isInteger(session.version)) {
+    throw new SessionError('The session file has no version number.');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new SessionError(
+      `This session was saved by a newer version of the app (format v${session.version}); ` +
+        `this app reads up to v${SESSION_VERSION}.`
+    );
+  }
+  while (session.version < SESSION_VERSION) {
+    const migrate = MIGRATIONS[session.version];
+    if (!migrate) {
+      throw new SessionError(
+        `Sessions in format v${session.version} are too old to load into this app.`
+      );
+    }
+    session = migrate(session);
+  }
+  const errors = validateSession(session);
+  if (errors.length > 0) {
+    throw new SessionError(`The session file is damaged: ${errors.join('; ')}.`);
+  }
+  return {
+    ...session,
+    settings: {
+      ...session.settings,
+      gravity: session.settings.gravity || 0,
+      dimensions: session.settings.dimensions || 2,
+      box: session.settings.box || { width: DEFAULT_OPTIONS.width, height: DEFAULT_OPTIONS.height },
+      reaction: { ...DEFAULT_REACTION_SETTINGS, ...session.settings.reaction },
+    },
+    chart: { ...DEFAULT_CHART_SETTINGS, ...session.chart },
+    particles: session.particles || null,
+  };
+};
+
+// --- Autosave ---
+
+export const saveToStorage = (session, storage = window.localStorage) => {
+  try {
+    storage.setItem(AUTOSAVE_KEY, serializeSession(session));
+    return true;
+  } catch (error) {
+    // Storage full or unavailable (private mode); autosave is best effort.
+    return false;
+  }
+};
+
+// Returns the saved session, or null when there is none. Throws a
+// SessionError when the stored session cannot be used.
+export const loadFromStorage = (storage = window.localStorage) => {
+  let text = null;
+  try {
+    text = storage.getItem(AUTOSAVE_KEY);
+  } catch (error) {
+    return null;
+  }
+  return text === null ? null : parseSession(text);
+};
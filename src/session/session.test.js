@@ -0,0 +1,135 @@
+import {
+  createSession,
+  parseSession,
+  serializeSession,
+  SessionError,
+  SESSION_VERSION,
+} from './session';
+import { DEFAULT_CHART_SETTINGS } from '../components/chartSettings';
+import { createEngine, createSpecies } from '../simulation/engine';
+import { DEFAULT_REACTION_SETTINGS } from '../simulation/reactions';
+import { createSnapshot } from '../components/snapshots';
+import { createPartition } from '../simulation/chambers';
+
+const makeSession = (overrides = {}) =>
+  createSession({
+    settings: {
+      temperature: 320,
+      thermostat: 'andersen',
+      restitution: 0.95,
+      gravity: 0.2,
+      dimensions: 3,
+      box: { width: 600, height: 300 },
+      species: [createSpecies()],
+      reaction: { ...DEFAULT_REACTION_SETTINGS, enabled: true, heat: -20 },
+      piston: { target: null, speed: 2, position: 450 },
+      partition: createPartition({ position: 300, hole: 30 }),
+    },
+    chartSettings: { ...DEFAULT_CHART_SETTINGS, showActivation: true },
+    snapshots: [
+      createSnapshot(200, []),
+      { ...createSnapshot(400, [{ id: 1 }]), label: 'hot', histogram: [{ x: 0, y: 0.1 }] },
+    ],
+    recordedData: [{ temperature: 300, mostProbableEnergy: 100, percentageAbove: '1.00' }],
+    ...overrides,
+  });
+
+test('sessions round-trip through JSON, including particle state', () => {
+  const particleState = createEngine({ seed: 4 }).getState();
+  const session = makeSession({ particleState });
+  expect(parseSession(serializeSession(session))).toEqual(session);
+});
+
+test('missing chart settings fall back to the defaults', () => {
+  const { chart, ...rest } = makeSession();
+  expect(parseSession(JSON.stringify(rest)).chart).toEqual(DEFAULT_CHART_SETTINGS);
+});
+
+test('version 1 sessions with bare snapshot temperatures are migrated', () => {
+  const session = { ...makeSession(), version: 1, snapshots: [200, 400] };
+  const { snapshots, version } = parseSession(JSON.stringify(session));
+  expect(version).toBe(SESSION_VERSION);
+  expect(snapshots.map((s) => [s.id, s.temperature, s.visible])).toEqual([
+    [1, 200, true],
+    [2, 400, true],
+  ]);
+});
+
+test('version 2 sessions load with the piston fully out and no partition', () => {
+  const session = { ...makeSession(), version: 2 };
+  delete session.settings.piston;
+  delete session.settings.partition;
+  const { settings, version } = parseSession(JSON.stringify(session));
+  expect(version).toBe(SESSION_VERSION);
+  expect(settings.piston).toBeNull();
+  expect(settings.partition).toBeNull();
+});
+
+test('sessions without reaction settings load with reactions off', () => {
+  const session = makeSession();
+  delete session.settings.reaction;
+  expect(parseSession(JSON.stringify(session)).settings.reaction).toEqual(
+    DEFAULT_REACTION_SETTINGS
+  );
+});
+
+test('sessions from before the 3D box load in 2D', () => {
+  const session = makeSession();
+  delete session.settings.dimensions;
+  expect(parseSession(JSON.stringify(session)).settings.dimensions).toBe(2);
+});
+
+test('sessions from before the resizable box get the default box', () => {
+  const session = makeSession();
+  delete session.settings.box;
+  expect(parseSession(JSON.stringify(session)).settings.box).toEqual({ width: 400, height: 400 });
+});
+
+test('sessions from before gravity load with it off', () => {
+  const session = makeSession();
+  delete session.settings.gravity;
+  expect(parseSession(JSON.stringify(session)).settings.gravity).toBe(0);
+});
+
+test.each([
+  ['not json', /not valid JSON/],
+  ['{"hello": 1}', /not a Maxwell–Boltzmann session/],
+  [JSON.stringify({ ...makeSession(), version: SESSION_VERSION + 1 }), /newer version/],
+  [JSON.stringify({ ...makeSession(), version: 0 }), /too old/],
+  [
+    JSON.stringify({ ...makeSession(), snapshots: ['hot'], settings: { temperature: -1 } }),
+    /damaged: .*temperature.*snapshots/,
+  ],
+  [
+    JSON.stringify({ ...makeSession(), settings: { ...makeSession().settings, dimensions: 4 } }),
+    /dimensions must be 2 or 3/,
+  ],
+  [
+    JSON.stringify({
+      ...makeSession(),
+      settings: { ...makeSession().settings, box: { width: 5000, height: 400 } },
+    }),
+    /settings.box needs a width and height/,
+  ],
+  [
+    JSON.stringify({ ...makeSession(), settings: { ...makeSession().settings, gravity: -1 } }),
+    /settings.gravity must be between/,
+  ],
+  [
+    JSON.stringify({
+      ...makeSession(),
+      settings: { ...makeSession().settings, piston: { target: null, speed: 0, position: 450 } },
+    }),
+    /settings.piston needs/,
+  ],
+  [
+    JSON.stringify({
+      ...makeSession(),
+      settings: { ...makeSession().settings, partition: { position: 300 } },
+    }),
+    /settings.partition needs/,
+  ],
+])('rejects bad input with a clear message (%#)', (text, message) => {
+  expect(() => parseSession(text)).toThrow(SessionError);
+  expect(() => parseSession(text)).toThrow(message);
+});
@@ -0,0 +1,62 @@
+// Barometric distribution: in a uniform gravity field g the number density
+// of a gas at temperature T falls off with height as the Boltzmann factor
+// of its potential energy, n(h) ∝ exp(−m·g·h / kT). Each species has its
+// own scale height kT / (m·g), so heavy molecules crowd the floor.
+//
+// Heights are measured from the floor (the bottom wall, y = height) to the
+// bottom of the particle, h = height − y − radius, so every species starts
+// at h = 0 and reaches at most `span` = height − 2·radius.
+
+export const scaleHeight = (kT, mass, gravity) => (gravity > 0 ? kT / (mass * gravity) : Infinity);
+
+export const heightAboveFloor = (y, radius, height) => height - y - radius;
+
+// Expected share of a species in each of `bins` slices `binWidth` tall,
+// counted from the floor, for a scale height `scale` and the heights
+// [0, span] it can reach. Without gravity the shares are uniform.
+export const barometricShares = (scale, span, binWidth, bins) => {
+  const below = (h) => {
+    const clamped = Math.min(Math.max(h, 0), span);
+    return Number.isFinite(scale) ? 1 - Math.exp(-clamped / scale) : clamped;
+  };
+  const total = below(span);
+  return Array.from(
+    { length: bins },
+    (_, i) => (below((i + 1) * binWidth) - below(i * binWidth)) / total
+  );
+};
+
+// Mean height of a species under the exponential profile cut off at `span`.
+export const meanHeight = (scale, span) =>
+  Number.isFinite(scale) ? scale - span / Math.expm1(span / scale) : span / 2;
+
+// Scale height whose profile has the measured mean height, found by
+// bisection; null when the gas is not stratified (mean at or above the
+// middle of the box).
+export const fitScaleHeight = (mean, span) => {
+  if (!(mean > 0) || mean >= span / 2) return null;
+  let low = span * 1e-4;
+  let high = span * 1e4;
+  for (let i = 0; i < 60; i++) {
+    const middle = Math.sqrt(low * high);
+    if (meanHeight(middle, span) < mean) low = middle;
+    else high = middle;
+  }
+  return Math.sqrt(low * high);
+};
+
+// Particles of each species in each slice, and the sum of their heights,
+// from the y positions and radii of one frame.
+export const heightHistogram = (ys, radii, species, height, speciesCount, bins) => {
+  const binWidth = height / bins;
+  const counts = Array.from({ length: speciesCount }, () => new Array(bins).fill(0));
+  const heightSums = new Array(speciesCount).fill(0);
+  ys.forEach((y, i) => {
+    if (species[i] >= speciesCount) return;
+    const h = heightAboveFloor(y, radii[i], height);
+    const bin = Math.min(bins - 1, Math.max(0, Math.floor(h / binWidth)));
+    counts[species[i]][bin] += 1;
+    heightSums[species[i]] += h;
+  });
+  return { counts, heightSums };
+};
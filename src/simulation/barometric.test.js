@@ -0,0 +1,59 @@
+import { createEngine, createSpecies, simulationThermalEnergy } from './engine';
+import {
+  barometricShares,
+  fitScaleHeight,
+  heightHistogram,
+  meanHeight,
+  scaleHeight,
+} from './barometric';
+
+test('the expected shares fall off by the Boltzmann factor from slice to slice', () => {
+  const shares = barometricShares(100, 400, 40, 10);
+  expect(shares.reduce((sum, s) => sum + s, 0)).toBeCloseTo(1, 10);
+  expect(shares[1] / shares[0]).toBeCloseTo(Math.exp(-40 / 100), 10);
+  expect(barometricShares(Infinity, 400, 40, 10)).toEqual(new Array(10).fill(0.1));
+});
+
+test('the fitted scale height reproduces the mean height it came from', () => {
+  expect(meanHeight(Infinity, 400)).toBe(200);
+  expect(fitScaleHeight(meanHeight(80, 400), 400)).toBeCloseTo(80, 6);
+  expect(fitScaleHeight(210, 400)).toBeNull();
+});
+
+test('a gas in a gravity field stratifies with a scale height kT / mg per species', () => {
+  const gravity = 0.3;
+  const engine = createEngine({
+    seed: 4,
+    gravity,
+    species: [
+      createSpecies({ name: 'Light', mass: 1, radius: 3, count: 60 }),
+      createSpecies({ name: 'Heavy', mass: 4, radius: 3, count: 60 }),
+    ],
+  });
+  for (let i = 0; i < 2000; i++) engine.step(1);
+  const sums = [0, 0];
+  const counts = [0, 0];
+  for (let i = 1; i <= 3000; i++) {
+    engine.step(1);
+    if (i % 10 !== 0) continue;
+    const particles = engine.getParticles();
+    const histogram = heightHistogram(
+      particles.map((p) => p.y),
+      particles.map((p) => p.radius),
+      particles.map((p) => p.species),
+      400,
+      2,
+      10
+    );
+    [0, 1].forEach((s) => {
+      sums[s] += histogram.heightSums[s];
+      counts[s] += histogram.counts[s].reduce((sum, n) => sum + n, 0);
+    });
+  }
+  const kT = simulationThermalEnergy(300, 0.5);
+  [1, 4].forEach((mass, s) => {
+    const fitted = fitScaleHeight(sums[s] / counts[s], 394);
+    expect(fitted / scaleHeight(kT, mass, gravity)).toBeGreaterThan(0.8);
+    expect(fitted / scaleHeight(kT, mass, gravity)).toBeLessThan(1.25);
+  });
+});
@@ -0,0 +1,20 @@
+import { createEngine, createSpecies, resizeMixture } from './engine.js';
+
+// Time the engine at several particle counts and report steps per second.
+// Runs anywhere the engine does: the browser console, Jest or Node.
+export const runBenchmark = ({
+  counts = [50, 500, 1000, 2000, 5000],
+  steps = 200,
+  warmup = 20,
+  seed = 1,
+} = {}) =>
+  counts.map((count) => {
+    const { width, height } = createEngine().config;
+    const species = resizeMixture([createSpecies()], count, width * height);
+    const engine = createEngine({ species, seed });
+    for (let i = 0; i < warmup; i++) engine.step(1);
+    const start = performance.now();
+    for (let i = 0; i < steps; i++) engine.step(1);
+    const seconds = (performance.now() - start) / 1000;
+    return { count, steps, seconds, stepsPerSecond: steps / seconds };
+  });
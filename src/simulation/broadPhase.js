@@ -0,0 +1,58 @@
+// Uniform-grid broad phase for particle collisions.
+// Particles are binned into square cells at least one collision diameter
+// wide, so any touching pair is in the same or an adjacent cell. Each cell
+// is checked against itself and four of its neighbours (a half stencil),
+// which visits every nearby pair exactly once in O(n) for a dilute gas.
+// The callback gets both particles and their indices.
+
+// Neighbour offsets forming the half stencil: right, and the row below.
+const HALF_STENCIL = [
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+export const forEachNearbyPair = (particles, width, height, callback) => {
+  const n = particles.length;
+  if (n < 2) return;
+  let maxRadius = 0;
+  for (let p of particles) {
+    if (p.radius > maxRadius) maxRadius = p.radius;
+  }
+  const cellSize = Math.max(2 * maxRadius, 1);
+  const cols = Math.max(1, Math.ceil(width / cellSize));
+  const rows = Math.max(1, Math.ceil(height / cellSize));
+
+  // Linked lists of particle indices per cell.
+  const head = new Int32Array(cols * rows).fill(-1);
+  const next = new Int32Array(n);
+  const cellOf = (value, count) =>
+    Math.min(count - 1, Math.max(0, Math.floor(value / cellSize)));
+  for (let i = 0; i < n; i++) {
+    const cell = cellOf(particles[i].y, rows) * cols + cellOf(particles[i].x, cols);
+    next[i] = head[cell];
+    head[cell] = i;
+  }
+
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const cell = cy * cols + cx;
+      for (let i = head[cell]; i !== -1; i = next[i]) {
+        // Pairs within the same cell.
+        for (let j = next[i]; j !== -1; j = next[j]) {
+          callback(particles[i], particles[j], i, j);
+        }
+        // Pairs with neighbouring cells.
+        for (let [ox, oy] of HALF_STENCIL) {
+          const nx = cx + ox;
+          const ny = cy + oy;
+          if (nx < 0 || nx >= cols || ny >= rows) continue;
+          for (let j = head[ny * cols + nx]; j !== -1; j = next[j]) {
+            callback(particles[i], particles[j], i, j);
+          }
+        }
+      }
+    }
+  }
+};
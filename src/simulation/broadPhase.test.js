@@ -0,0 +1,28 @@
+import { forEachNearbyPair } from './broadPhase';
+import { createRandom } from './random';
+
+test('grid finds exactly the touching pairs a brute-force search finds', () => {
+  const random = createRandom(123);
+  const particles = Array.from({ length: 400 }, (_, i) => ({
+    id: i,
+    x: random.next() * 400,
+    y: random.next() * 300,
+    radius: 2 + random.next() * 4,
+  }));
+  const touching = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < a.radius + b.radius;
+  const key = (a, b) => (a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`);
+
+  const expected = new Set();
+  for (let i = 0; i < particles.length; i++) {
+    for (let j = i + 1; j < particles.length; j++) {
+      if (touching(particles[i], particles[j])) expected.add(key(particles[i], particles[j]));
+    }
+  }
+
+  const found = [];
+  forEachNearbyPair(particles, 400, 300, (a, b) => {
+    if (touching(a, b)) found.push(key(a, b));
+  });
+  expect(new Set(found).size).toBe(found.length);
+  expect(new Set(found)).toEqual(expected);
+});
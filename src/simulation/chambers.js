@@ -0,0 +1,73 @@
+// Two-chamber experiments: an internal wall at x = position with a slit
+// `hole` px tall centered on it, for free expansion, mixing and effusion.
+// A particle passes when its center is in the slit, so every species sees
+// the same opening. The wall is removed altogether with `open: true`.
+
+// Partition as placed by the scenarios: closed, in the middle of the box.
+export const createPartition = (overrides = {}) => ({
+  position: 200,
+  hole: 0,
+  open: false,
+  ...overrides,
+});
+
+// Keep particles on their side of a closed partition. A particle's side is
+// where its center was before this step's move.
+export const applyPartition = (particles, partition, height, dt = 1) => {
+  if (!partition || partition.open) return;
+  const { position, hole } = partition;
+  const top = (height - hole) / 2;
+  const bottom = (height + hole) / 2;
+  for (let p of particles) {
+    if (p.y > top && p.y < bottom) continue;
+    const wasLeft = p.x - p.vx * dt < position;
+    if (wasLeft && p.x + p.radius > position) {
+      p.x = position - p.radius;
+      p.vx = -Math.abs(p.vx);
+    } else if (!wasLeft && p.x - p.radius < position) {
+      p.x = position + p.radius;
+      p.vx = Math.abs(p.vx);
+    }
+  }
+};
+
+// Particles of each species on either side of x = position.
+export const countSides = (xs, species, position, speciesCount) => {
+  const left = new Array(speciesCount).fill(0);
+  const right = new Array(speciesCount).fill(0);
+  xs.forEach((x, i) => {
+    if (x < position) left[species[i]] += 1;
+    else right[species[i]] += 1;
+  });
+  return { left, right };
+};
+
+// Kinetic-theory effusion: particles cross a slit at n·hole·sqrt(kT / 2πm)
+// per frame for number density n (per px² in 2D; in 3D the slit spans the
+// depth, so the same holds per unit depth). This is Graham's law, rate ∝ 1/√m.
+export const escapeRate = (hole, kT, mass) => hole * Math.sqrt(kT / (2 * Math.PI * mass));
+
+// With flow both ways, a species' count on the left relaxes to its
+// equilibrium share exponentially, at escapeRate · (1/A_left + 1/A_right).
+export const relaxationRate = (hole, kT, mass, leftArea, rightArea) =>
+  escapeRate(hole, kT, mass) * (1 / leftArea + 1 / rightArea);
+
+// Fit the relaxation rate to a measured run of { time, left } points, where
+// `equilibrium` is the final left count. Uses the early part of the run,
+// until the gap to equilibrium has closed to a fifth, where counting noise
+// would dominate. Returns null until there is enough to fit.
+export const fitRelaxation = (run, equilibrium) => {
+  if (run.length < 3) return null;
+  const gap0 = run[0].left - equilibrium;
+  if (gap0 === 0) return null;
+  let sxy = 0;
+  let sxx = 0;
+  for (let point of run) {
+    const ratio = (point.left - equilibrium) / gap0;
+    if (ratio < 0.2) break;
+    const t = point.time - run[0].time;
+    sxy += -Math.log(ratio) * t;
+    sxx += t * t;
+  }
+  return sxx > 0 ? sxy / sxx : null;
+};
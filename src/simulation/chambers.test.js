@@ -0,0 +1,44 @@
+import { createEngine, createSpecies } from './engine';
+import { countSides, createPartition, escapeRate, fitRelaxation } from './chambers';
+
+test('particles stay on their side of a closed partition', () => {
+  const engine = createEngine({
+    seed: 2,
+    partition: createPartition(),
+    species: [createSpecies({ count: 40, side: 'left' })],
+  });
+  for (let i = 0; i < 600; i++) engine.step(1);
+  expect(engine.getParticles().every((p) => p.x + p.radius <= 200)).toBe(true);
+});
+
+test('light particles effuse through a hole faster than heavy ones', () => {
+  const engine = createEngine({
+    seed: 3,
+    partition: createPartition({ hole: 30 }),
+    species: [
+      createSpecies({ name: 'Light', mass: 1, radius: 1.5, count: 200, side: 'left' }),
+      createSpecies({ name: 'Heavy', mass: 4, radius: 1.5, count: 200, side: 'left' }),
+    ],
+  });
+  for (let i = 0; i < 400; i++) engine.step(1);
+  const particles = engine.getParticles();
+  const { right } = countSides(
+    particles.map((p) => p.x),
+    particles.map((p) => p.species),
+    200,
+    2
+  );
+  // Graham's law: escape rates in the ratio sqrt(4 / 1) = 2.
+  expect(escapeRate(30, 1, 1) / escapeRate(30, 1, 4)).toBeCloseTo(2, 10);
+  expect(right[0] / right[1]).toBeGreaterThan(1.4);
+  expect(right[0] / right[1]).toBeLessThan(2.8);
+});
+
+test('fitRelaxation recovers the rate of an exponential approach', () => {
+  const run = Array.from({ length: 50 }, (_, i) => ({
+    time: i * 10,
+    left: 50 + 50 * Math.exp(-0.004 * i * 10),
+  }));
+  expect(fitRelaxation(run, 50)).toBeCloseTo(0.004, 6);
+  expect(fitRelaxation(run.slice(0, 2), 50)).toBeNull();
+});
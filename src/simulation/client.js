@@ -0,0 +1,72 @@
+import { createSimulationHost } from './host.js';
+
+// Main-thread handle on the running simulation. Uses a Web Worker when the
+// environment has one and otherwise runs the same host on the main thread.
+// Messages sent before the worker has loaded are queued.
+export const createSimulationClient = (onFrame) => {
+  let worker = null;
+  let local = null;
+  let disposed = false;
+  const queue = [];
+  // Pending request() calls keyed by request id.
+  const pending = new Map();
+  let nextRequestId = 1;
+
+  const handleMessage = (message) => {
+    if (message.requestId && pending.has(message.requestId)) {
+      pending.get(message.requestId)(message);
+      pending.delete(message.requestId);
+    } else {
+      onFrame(message);
+    }
+  };
+
+  const send = (message) => {
+    if (worker) worker.postMessage(message);
+    else if (local) local.handleMessage(message);
+    else queue.push(message);
+  };
+
+  const flush = () => {
+    queue.splice(0).forEach(send);
+  };
+
+  const runLocally = () => {
+    local = createSimulationHost(handleMessage);
+    local.start();
+    flush();
+  };
+
+  if (typeof Worker !== 'undefined') {
+    import('./createWorker.js')
+      .then(({ default: createWorker }) => {
+        if (disposed) return;
+        worker = createWorker();
+        worker.onmessage = (event) => handleMessage(event.data);
+        flush();
+      })
+      // A worker chunk that fails to load (or a worker that cannot be
+      // created) falls back to the main thread rather than never starting.
+      .catch(() => {
+        if (!disposed && !worker) runLocally();
+      });
+  } else {
+    runLocally();
+  }
+
+  return {
+    send,
+    // Send a message and resolve with the host's reply to it.
+    request: (message) =>
+      new Promise((resolve) => {
+        const requestId = nextRequestId++;
+        pending.set(requestId, resolve);
+        send({ ...message, requestId });
+      }),
+    dispose: () => {
+      disposed = true;
+      if (worker) worker.terminate();
+      if (local) local.stop();
+    },
+  };
+};
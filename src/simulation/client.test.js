@@ -0,0 +1,17 @@
+import { createSimulationClient } from './client';
+
+jest.mock('./createWorker.js', () => {
+  throw new Error('Loading chunk failed');
+});
+
+test('runs on the main thread when the worker chunk fails to load', async () => {
+  global.Worker = function Worker() {};
+  const frames = [];
+  const client = createSimulationClient((frame) => frames.push(frame));
+  client.send({ type: 'init', options: { seed: 1 } });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  client.dispose();
+  delete global.Worker;
+  expect(frames).toHaveLength(1);
+  expect(frames[0].type).toBe('frame');
+});
@@ -0,0 +1,6 @@
+// Kept in its own module so that only browsers parse `import.meta`;
+// the client loads it on demand when Worker exists.
+const createWorker = () =>
+  new Worker(new URL('./simulation.worker.js', import.meta.url));
+
+export default createWorker;
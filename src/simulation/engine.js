@@ -0,0 +1,606 @@
+import { createRandom } from './random.js';
+import { forEachNearbyPair } from './broadPhase.js';
+import { lineOfCentersEnergy, reactPair } from './reactions.js';
+import { applyPartition } from './chambers.js';
+import { createRingBuffer } from './ringBuffer.js';
+
+// Headless particle engine for the Maxwell–Boltzmann simulation.
+// No DOM or React here: SimulationCanvas only draws the particles, and the
+// same engine can run under Jest, in a Web Worker or from a Node script.
+//
+// Units are the ones the canvas has always used: lengths in pixels, time in
+// frames (dt = 1 is one animation frame) and masses relative to the default
+// gas (mass 1).
+//
+// The gas is 2D by default. With `dimensions: 3` the box gains a depth and
+// every particle a z coordinate and velocity; 2D particles keep z = vz = 0,
+// so the vector maths below is written once for both.
+
+export const DEFAULT_OPTIONS = {
+  width: 400,
+  height: 400,
+  depth: 400, // used in 3D only
+  dimensions: 2, // 2 or 3
+  numParticles: 50,
+  radius: 5,
+  temperature: 300,
+  baseSpeedFactor: 0.5, // desired average speed factor
+  restitution: 1, // coefficient of restitution; below 1 collisions are inelastic
+  thermostat: 'berendsen', // one of the keys of THERMOSTATS
+  couplingTime: 20, // Berendsen relaxation time in frames
+  collisionFrequency: 0.01, // Andersen bath collisions per particle per frame
+  species: null, // defaults to one gas built from numParticles and radius
+  // Reactive collisions, or null: { reactant, product, activationEnergy,
+  // heat } with species indices and energies in chart (classroom) units.
+  reaction: null,
+  // Movable right wall, or null: { target, speed } moves the wall (and so
+  // `width`) towards `target` at up to `speed` px/frame; target null holds it.
+  piston: null,
+  // Internal wall, or null: { position, hole, open } (see chambers.js).
+  partition: null,
+  // Uniform downward acceleration in px/frame² (towards larger y); 0 is off.
+  gravity: 0,
+  seed: 1,
+};
+
+// A single species: name, mass, radius, color and particle count. With a
+// partition, `side` ('left' or 'right') places the species in one chamber.
+export const createSpecies = (overrides = {}) => ({
+  name: 'Gas',
+  mass: 1,
+  radius: DEFAULT_OPTIONS.radius,
+  color: '#6496fa',
+  count: DEFAULT_OPTIONS.numParticles,
+  ...overrides,
+});
+
+// Scale a mixture to a new total particle count, keeping the species ratios.
+// Radii shrink when needed so the particles cover at most `maxPacking` of
+// the box area and very dense gases still fit.
+export const resizeMixture = (species, total, area, maxPacking = 0.1) => {
+  const current = species.reduce((sum, s) => sum + s.count, 0) || 1;
+  const counts = species.map((s) => Math.round((s.count / current) * total));
+  const covered = species.reduce(
+    (sum, s, i) => sum + counts[i] * Math.PI * s.radius * s.radius,
+    0
+  );
+  const shrink = covered > maxPacking * area ? Math.sqrt((maxPacking * area) / covered) : 1;
+  return species.map((s, i) => ({
+    ...s,
+    count: counts[i],
+    radius: Math.max(0.5, Number((s.radius * shrink).toFixed(2))),
+  }));
+};
+
+const resolveSpecies = (config) =>
+  config.species || [createSpecies({ radius: config.radius, count: config.numParticles })];
+
+// Target mean speed for a temperature: v_avg = baseSpeedFactor * sqrt(T / m).
+export const targetSpeed = (T, baseSpeedFactor, mass = 1) =>
+  baseSpeedFactor * Math.sqrt(T / mass);
+
+// kT in simulation units implied by the average-speed thermostat. For a 2D
+// Maxwell–Boltzmann gas the mean speed is sqrt(pi kT / 2m), so matching it
+// to targetSpeed gives kT = 2 * baseSpeedFactor^2 * T / pi. The same kT is
+// used in 3D, where the gas then moves a little faster on average.
+export const simulationThermalEnergy = (T, baseSpeedFactor) =>
+  (2 * baseSpeedFactor * baseSpeedFactor * T) / Math.PI;
+
+// Mean Maxwell–Boltzmann speed at kT: sqrt(pi kT / 2m) in 2D and
+// sqrt(8 kT / pi m) in 3D.
+export const meanSpeed = (kT, mass, dimensions) =>
+  dimensions === 3
+    ? Math.sqrt((8 * kT) / (Math.PI * mass))
+    : Math.sqrt((Math.PI * kT) / (2 * mass));
+
+// Available thermostats and how they couple the gas to its surroundings.
+export const THERMOSTATS = {
+  none: 'None (isolated)',
+  rescale: 'Velocity rescaling',
+  berendsen: 'Berendsen',
+  andersen: 'Andersen',
+  heatBath: 'Heat-bath walls',
+};
+
+// Inelastic collision handler for two particles of any mass. The impulse
+// along the line of centers is shared by inverse mass, so momentum is
+// conserved exactly and kinetic energy too when restitution is 1.
+// Returns the kinetic energy lost in the collision.
+export const handleCollision = (p1, p2, restitution) => {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const dz = (p2.z || 0) - (p1.z || 0);
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (dist === 0) return 0;
+  const nx = dx / dist;
+  const ny = dy / dist;
+  const nz = dz / dist;
+  const dvx = p2.vx - p1.vx;
+  const dvy = p2.vy - p1.vy;
+  const dvz = (p2.vz || 0) - (p1.vz || 0);
+  const relVel = dvx * nx + dvy * ny + dvz * nz;
+  if (relVel > 0) return 0; // already separating
+  const reducedMass = 1 / (1 / p1.mass + 1 / p2.mass);
+  const impulse = -(1 + restitution) * relVel * reducedMass;
+  p1.vx -= (impulse / p1.mass) * nx;
+  p1.vy -= (impulse / p1.mass) * ny;
+  p2.vx += (impulse / p2.mass) * nx;
+  p2.vy += (impulse / p2.mass) * ny;
+  if (nz !== 0) {
+    p1.vz -= (impulse / p1.mass) * nz;
+    p2.vz += (impulse / p2.mass) * nz;
+  }
+  return 0.5 * reducedMass * (1 - restitution * restitution) * relVel * relVel;
+};
+
+// Re-emit a particle from a wall at temperature kT: the normal component
+// follows the flux-weighted (Rayleigh) distribution, the tangential ones a
+// Gaussian. `sign` is the direction of the wall normal along `axis`.
+const emitFromWall = (p, axis, sign, kT, random, threeD) => {
+  const sigma = Math.sqrt(kT / p.mass);
+  p.vx = sigma * random.normal();
+  p.vy = sigma * random.normal();
+  if (threeD) p.vz = sigma * random.normal();
+  p[`v${axis}`] = sign * sigma * Math.sqrt(-2 * Math.log(1 - random.next()));
+};
+
+// Reflect particles off the four walls of the box, or the six walls of a
+// 3D box when `depth` is given. With a heat bath ({ kT, random }) the walls
+// re-emit particles at the bath temperature instead. `onBounce`, if given,
+// is called with the momentum each bounce transfers to the wall. Returns
+// the kinetic energy the walls put into the gas.
+export const applyWallCollisions = (
+  particles,
+  width,
+  height,
+  bath = null,
+  depth = 0,
+  onBounce = null
+) => {
+  let exchanged = 0;
+  const threeD = depth > 0;
+  const sizes = threeD ? { x: width, y: height, z: depth } : { x: width, y: height };
+  for (let p of particles) {
+    const before = bath ? kineticEnergy(p) : 0;
+    let hit = false;
+    for (let axis in sizes) {
+      const v = `v${axis}`;
+      const incoming = p[v];
+      if (p[axis] - p.radius < 0) {
+        p[axis] = p.radius;
+        p[v] = Math.abs(p[v]);
+        if (bath) emitFromWall(p, axis, 1, bath.kT, bath.random, threeD);
+        hit = true;
+      } else if (p[axis] + p.radius > sizes[axis]) {
+        p[axis] = sizes[axis] - p.radius;
+        p[v] = -Math.abs(p[v]);
+        if (bath) emitFromWall(p, axis, -1, bath.kT, bath.random, threeD);
+        hit = true;
+      } else {
+        continue;
+      }
+      if (onBounce) onBounce(p.mass * Math.abs(p[v] - incoming));
+    }
+    if (bath && hit) {
+      exchanged += kineticEnergy(p) - before;
+    }
+  }
+  return exchanged;
+};
+
+// Narrowest box the piston may close to.
+export const MIN_BOX_WIDTH = 100;
+
+// Range of box widths and heights that can be set (see setBox).
+export const BOX_SIZE_RANGE = { min: 200, max: 800 };
+
+// Gravity settings offered in the app, in px/frame². At the top, the
+// default gas at 300 K has a scale height of about 100 px.
+export const GRAVITY_RANGE = { min: 0, max: 0.5 };
+
+// Reflect particles off a piston at x = position moving at `velocity`
+// (px/frame, positive when the box expands). In the piston's frame the
+// bounce is elastic, so vx becomes 2·velocity − vx: a compressing piston
+// speeds particles up and an expanding one slows them down. `onBounce` is
+// called with the momentum given to the piston. Returns the work done on
+// the gas.
+export const applyPiston = (particles, position, velocity, onBounce = null) => {
+  let work = 0;
+  for (let p of particles) {
+    if (p.x + p.radius <= position) continue;
+    p.x = position - p.radius;
+    if (p.vx > velocity) {
+      const incoming = p.vx;
+      p.vx = 2 * velocity - incoming;
+      work += 0.5 * p.mass * (p.vx * p.vx - incoming * incoming);
+      if (onBounce) onBounce(p.mass * (incoming - p.vx));
+    }
+  }
+  return work;
+};
+
+// Resolve overlapping pairs: exchange momentum, then push them apart
+// (the lighter particle moves further, keeping the center of mass fixed).
+// Candidate pairs come from the uniform-grid broad phase. `onCollision`,
+// if given, is called after each collision with the line-of-centers
+// energy of the approach and the indices of the pair. Returns the kinetic
+// energy dissipated by inelastic collisions.
+export const resolveParticleCollisions = (
+  particles,
+  restitution,
+  width,
+  height,
+  onCollision = null
+) => {
+  let dissipated = 0;
+  forEachNearbyPair(particles, width, height, (p1, p2, i, j) => {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const dz = (p2.z || 0) - (p1.z || 0);
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (dist < p1.radius + p2.radius) {
+      const energy = onCollision ? lineOfCentersEnergy(p1, p2) : 0;
+      dissipated += handleCollision(p1, p2, restitution);
+      if (onCollision) onCollision(p1, p2, energy, i, j);
+      if (dist === 0) return;
+      const overlap = p1.radius + p2.radius - dist;
+      const totalMass = p1.mass + p2.mass;
+      const sepX = (dx / dist) * overlap;
+      const sepY = (dy / dist) * overlap;
+      p1.x -= sepX * (p2.mass / totalMass);
+      p1.y -= sepY * (p2.mass / totalMass);
+      p2.x += sepX * (p1.mass / totalMass);
+      p2.y += sepY * (p1.mass / totalMass);
+      if (dz !== 0) {
+        const sepZ = (dz / dist) * overlap;
+        p1.z -= sepZ * (p2.mass / totalMass);
+        p2.z += sepZ * (p1.mass / totalMass);
+      }
+    }
+  });
+  return dissipated;
+};
+
+// Thermostat: rescale velocities to maintain the desired average speed.
+// Speeds are weighted by sqrt(mass) so that in a mixture the heavier
+// species settles at a proportionally lower speed.
+export const rescaleToAverageSpeed = (particles, desiredAvgSpeed) => {
+  if (particles.length === 0) return;
+  let sumSpeed = 0;
+  for (let p of particles) {
+    sumSpeed += Math.sqrt(p.mass) * speedOf(p);
+  }
+  const avgSpeed = sumSpeed / particles.length;
+  const scale = desiredAvgSpeed / (avgSpeed || 1);
+  for (let p of particles) {
+    p.vx *= scale;
+    p.vy *= scale;
+    p.vz *= scale;
+  }
+};
+
+// Berendsen weak coupling: relax the instantaneous temperature towards kT
+// with time constant tau. By equipartition the mean kinetic energy per
+// particle is kT in 2D and 3/2 kT in 3D.
+export const berendsen = (particles, kT, dt, tau, dimensions = 2) => {
+  if (particles.length === 0) return;
+  const currentKT =
+    measure(particles).kineticEnergy / particles.length / (dimensions / 2);
+  if (currentKT === 0) return;
+  const lambda = Math.sqrt(Math.max(0, 1 + (dt / tau) * (kT / currentKT - 1)));
+  for (let p of particles) {
+    p.vx *= lambda;
+    p.vy *= lambda;
+    p.vz *= lambda;
+  }
+};
+
+// Andersen: each particle collides with a bath particle with probability
+// frequency * dt and leaves with a fresh Maxwell–Boltzmann velocity.
+export const andersen = (particles, kT, dt, frequency, random, dimensions = 2) => {
+  for (let p of particles) {
+    if (random.next() < frequency * dt) {
+      const sigma = Math.sqrt(kT / p.mass);
+      p.vx = sigma * random.normal();
+      p.vy = sigma * random.normal();
+      if (dimensions === 3) p.vz = sigma * random.normal();
+    }
+  }
+};
+
+// Speed and kinetic energy of one particle (vz is absent or 0 in 2D).
+const speedOf = (p) => Math.sqrt(p.vx * p.vx + p.vy * p.vy + (p.vz || 0) * (p.vz || 0));
+const kineticEnergy = (p) => 0.5 * p.mass * speedOf(p) * speedOf(p);
+
+// Total kinetic energy and momentum.
+export const measure = (particles) => {
+  let total = 0;
+  let px = 0;
+  let py = 0;
+  let pz = 0;
+  for (let p of particles) {
+    total += kineticEnergy(p);
+    px += p.mass * p.vx;
+    py += p.mass * p.vy;
+    pz += p.mass * (p.vz || 0);
+  }
+  return { kineticEnergy: total, momentum: { x: px, y: py, z: pz } };
+};
+
+export const getSpeeds = (particles) => particles.map(speedOf);
+
+// Random positions and directions, every particle at its species' mean
+// thermal speed.
+const createParticles = (config, random) => {
+  const particles = [];
+  const threeD = config.dimensions === 3;
+  const kT = simulationThermalEnergy(config.temperature, config.baseSpeedFactor);
+  resolveSpecies(config).forEach((s, speciesIndex) => {
+    const speed = meanSpeed(kT, s.mass, config.dimensions);
+    // Chamber to place the species in, [from, to) along x.
+    const { partition } = config;
+    const [from, to] =
+      partition && s.side
+        ? s.side === 'left'
+          ? [0, partition.position]
+          : [partition.position, config.width]
+        : [0, config.width];
+    for (let i = 0; i < s.count; i++) {
+      const x = from + random.next() * (to - from);
+      const y = random.next() * config.height;
+      const angle = random.next() * 2 * Math.PI;
+      // In 3D the direction is uniform on the sphere: cos(theta) uniform.
+      const cosTheta = threeD ? 2 * random.next() - 1 : 0;
+      const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+      particles.push({
+        x,
+        y,
+        z: threeD ? random.next() * config.depth : 0,
+        vx: speed * sinTheta * Math.cos(angle),
+        vy: speed * sinTheta * Math.sin(angle),
+        vz: speed * cosTheta,
+        radius: s.radius,
+        mass: s.mass,
+        species: speciesIndex,
+        collisions: 0,
+      });
+    }
+  });
+  return particles;
+};
+
+// Older saved states have no z coordinates or collision counts.
+const withDefaults = (p) => ({ z: 0, vz: 0, collisions: 0, ...p });
+
+export const createEngine = (options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const random = createRandom(config.seed);
+  let time = 0;
+  let particles = createParticles(config, random);
+  // Running totals of energy exchanged with the surroundings since the
+  // last reset: heat added by the thermostat, losses to inelastic collisions,
+  // heat released by reactions and work done by the piston and by gravity.
+  const emptyLedger = () => ({
+    thermostat: 0,
+    collisions: 0,
+    reaction: 0,
+    piston: 0,
+    gravity: 0,
+  });
+  let ledger = emptyLedger();
+  // Total momentum transferred to the walls, for measuring the pressure.
+  let wallImpulse = 0;
+  const addWallImpulse = (impulse) => {
+    wallImpulse += impulse;
+  };
+  // Distance travelled by all particles and the number of collisions
+  // between them, for measuring the mean free path (each particle also
+  // counts its own), and the latest collision events ({ time, a, b, energy }
+  // with particle indices) not yet taken by the host, with the number of
+  // older ones the log had no room for.
+  const emptyCollisionStats = () => ({ count: 0, distance: 0 });
+  let collisionStats = emptyCollisionStats();
+  const MAX_EVENTS = 500;
+  const collisionEvents = createRingBuffer(MAX_EVENTS);
+  let droppedEvents = 0;
+
+  const applyThermostat = (dt) => {
+    const kT = simulationThermalEnergy(config.temperature, config.baseSpeedFactor);
+    const before = measure(particles).kineticEnergy;
+    if (config.thermostat === 'rescale') {
+      rescaleToAverageSpeed(particles, meanSpeed(kT, 1, config.dimensions));
+    } else if (config.thermostat === 'berendsen') {
+      berendsen(particles, kT, dt, config.couplingTime, config.dimensions);
+    } else if (config.thermostat === 'andersen') {
+      andersen(particles, kT, dt, config.collisionFrequency, random, config.dimensions);
+    } else {
+      return;
+    }
+    ledger.thermostat += measure(particles).kineticEnergy - before;
+  };
+
+  // Chart energies E = ½·m·(v / baseSpeedFactor)², so simulation energies
+  // are the reaction's energies times baseSpeedFactor².
+  const reactOnCollision = () => {
+    const scale = config.baseSpeedFactor * config.baseSpeedFactor;
+    const reaction = {
+      ...config.reaction,
+      activationEnergy: config.reaction.activationEnergy * scale,
+      heat: (config.reaction.heat || 0) * scale,
+    };
+    const species = resolveSpecies(config);
+    return (p1, p2, energy) => {
+      ledger.reaction += reactPair(p1, p2, energy, reaction, species);
+    };
+  };
+
+  // Count and log each collision, and react if reactions are on. Pairs
+  // still overlapping while separating (zero approach energy) are not
+  // new collisions.
+  const onCollision = (react) => (p1, p2, energy, a, b) => {
+    if (energy > 0) {
+      collisionStats.count += 1;
+      p1.collisions += 1;
+      p2.collisions += 1;
+      if (collisionEvents.size() === MAX_EVENTS) droppedEvents += 1;
+      collisionEvents.push({ time, a, b, energy });
+    }
+    if (react) react(p1, p2, energy);
+  };
+
+  // Move the piston towards its target; returns its velocity.
+  const movePiston = (dt) => {
+    const { piston } = config;
+    if (!piston || piston.target === null) return 0;
+    const gap = piston.target - config.width;
+    const move = Math.sign(gap) * Math.min(Math.abs(gap), piston.speed * dt);
+    config.width += move;
+    return move / dt;
+  };
+
+  const step = (dt = 1) => {
+    // Gravity kicks vy by half a step either side of the move (velocity
+    // Verlet), so the kinetic energy gained in flight is exactly the work
+    // m·g·Δy done by gravity.
+    const kick = 0.5 * config.gravity * dt;
+    for (let p of particles) {
+      p.vy += kick;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.z += p.vz * dt;
+      ledger.gravity += p.mass * config.gravity * p.vy * dt;
+      p.vy += kick;
+      collisionStats.distance += speedOf(p) * dt;
+    }
+    if (config.piston) {
+      const velocity = movePiston(dt);
+      ledger.piston += applyPiston(particles, config.width, velocity, addWallImpulse);
+    }
+    applyPartition(particles, config.partition, config.height, dt);
+    const bath =
+      config.thermostat === 'heatBath'
+        ? {
+            kT: simulationThermalEnergy(config.temperature, config.baseSpeedFactor),
+            random,
+          }
+        : null;
+    ledger.thermostat += applyWallCollisions(
+      particles,
+      config.width,
+      config.height,
+      bath,
+      config.dimensions === 3 ? config.depth : 0,
+      addWallImpulse
+    );
+    ledger.collisions -= resolveParticleCollisions(
+      particles,
+      config.restitution,
+      config.width,
+      config.height,
+      onCollision(config.reaction ? reactOnCollision() : null)
+    );
+    applyThermostat(dt);
+    time += dt;
+  };
+
+  // Freshly placed particles and counters, after a change to the gas or box.
+  const restart = () => {
+    particles = createParticles(config, random);
+    ledger = emptyLedger();
+    wallImpulse = 0;
+    collisionStats = emptyCollisionStats();
+  };
+
+  // Plain JSON-serializable snapshot of everything needed to resume a run.
+  const getState = () => ({
+    time,
+    config: { ...config },
+    rngState: random.getState(),
+    ledger: { ...ledger },
+    wallImpulse,
+    collisionStats: { ...collisionStats },
+    particles: particles.map((p) => ({ ...p })),
+  });
+
+  const setState = (state) => {
+    Object.assign(config, state.config);
+    random.setState(state.rngState);
+    time = state.time;
+    ledger = { ...emptyLedger(), ...state.ledger };
+    wallImpulse = state.wallImpulse || 0;
+    collisionStats = { ...emptyCollisionStats(), ...state.collisionStats };
+    particles = state.particles.map(withDefaults);
+  };
+
+  return {
+    config,
+    step,
+    getState,
+    setState,
+    getTime: () => time,
+    // State of the random generator, recorded with each published frame.
+    getRandomState: () => random.getState(),
+    getParticles: () => particles,
+    setTemperature: (T) => {
+      config.temperature = T;
+    },
+    // Replace the particles, e.g. to continue from a recorded frame.
+    setParticles: (list, atTime = time) => {
+      particles = list.map(withDefaults);
+      time = atTime;
+    },
+    getSpecies: () => resolveSpecies(config),
+    // Replace the gas mixture and restart with freshly placed particles.
+    setSpecies: (species) => {
+      config.species = species.map((s) => ({ ...s }));
+      restart();
+    },
+    // Switch between a flat and a 3D box, restarting with fresh particles.
+    setDimensions: (dimensions) => {
+      config.dimensions = dimensions;
+      restart();
+    },
+    // Resize the box (the piston goes back to the right wall), restarting
+    // with fresh particles.
+    setBox: ({ width, height }) => {
+      config.width = width;
+      config.height = height;
+      config.piston = null;
+      restart();
+    },
+    // Momentum given to the walls since the particles were placed; setting
+    // it continues the count from a recorded frame.
+    getWallImpulse: () => wallImpulse,
+    setWallImpulse: (impulse) => {
+      wallImpulse = impulse;
+    },
+    getCollisionStats: () => ({ ...collisionStats }),
+    setCollisionStats: (stats) => {
+      collisionStats = { ...emptyCollisionStats(), ...stats };
+    },
+    // Collision events since the last call, oldest first, and how many
+    // earlier ones were dropped because the log was full.
+    takeCollisionEvents: () => {
+      const events = Array.from({ length: collisionEvents.size() }, (_, i) =>
+        collisionEvents.get(i)
+      );
+      const dropped = droppedEvents;
+      collisionEvents.clear();
+      droppedEvents = 0;
+      return { events, dropped };
+    },
+    // Energy bookkeeping: current kinetic energy plus what the thermostat
+    // added and what inelastic collisions removed since the last reset.
+    getEnergyLedger: () => ({
+      kineticEnergy: measure(particles).kineticEnergy,
+      ...ledger,
+    }),
+    resetEnergyLedger: () => {
+      ledger = emptyLedger();
+    },
+    setOption: (key, value) => {
+      config[key] = value;
+    },
+    measure: () => measure(particles),
+  };
+};
@@ -0,0 +1,200 @@
+import {
+  applyPiston,
+  createEngine,
+  createSpecies,
+  handleCollision,
+  measure,
+  simulationThermalEnergy,
+} from './engine';
+
+test('elastic pair collision conserves momentum and kinetic energy', () => {
+  const p1 = { x: 0, y: 0, vx: 2, vy: 0.5, radius: 5, mass: 1 };
+  const p2 = { x: 8, y: 3, vx: -1, vy: 0, radius: 5, mass: 1 };
+  const before = measure([p1, p2]);
+  handleCollision(p1, p2, 1);
+  const after = measure([p1, p2]);
+  expect(after.momentum.x).toBeCloseTo(before.momentum.x, 10);
+  expect(after.momentum.y).toBeCloseTo(before.momentum.y, 10);
+  expect(after.kineticEnergy).toBeCloseTo(before.kineticEnergy, 10);
+});
+
+test('inelastic collision loses kinetic energy but keeps momentum', () => {
+  const p1 = { x: 0, y: 0, vx: 3, vy: 0, radius: 5, mass: 1 };
+  const p2 = { x: 9, y: 0, vx: -3, vy: 0, radius: 5, mass: 1 };
+  const before = measure([p1, p2]);
+  handleCollision(p1, p2, 0.9);
+  const after = measure([p1, p2]);
+  expect(after.momentum.x).toBeCloseTo(before.momentum.x, 10);
+  expect(after.kineticEnergy).toBeLessThan(before.kineticEnergy);
+});
+
+test('unequal-mass elastic collision conserves momentum and kinetic energy', () => {
+  const p1 = { x: 0, y: 0, vx: 1.5, vy: -0.5, radius: 5, mass: 1 };
+  const p2 = { x: 9, y: 2, vx: -0.5, vy: 0.25, radius: 8, mass: 4 };
+  const before = measure([p1, p2]);
+  handleCollision(p1, p2, 1);
+  const after = measure([p1, p2]);
+  expect(after.momentum.x).toBeCloseTo(before.momentum.x, 10);
+  expect(after.momentum.y).toBeCloseTo(before.momentum.y, 10);
+  expect(after.kineticEnergy).toBeCloseTo(before.kineticEnergy, 10);
+});
+
+test('heavier species in a mixture move more slowly', () => {
+  const engine = createEngine({
+    seed: 5,
+    species: [
+      createSpecies({ name: 'Light', mass: 1, count: 40 }),
+      createSpecies({ name: 'Heavy', mass: 4, radius: 7, count: 40 }),
+    ],
+  });
+  for (let i = 0; i < 2000; i++) engine.step(1);
+  const meanSpeed = (index) => {
+    const ps = engine.getParticles().filter((p) => p.species === index);
+    return ps.reduce((sum, p) => sum + Math.hypot(p.vx, p.vy), 0) / ps.length;
+  };
+  expect(meanSpeed(1)).toBeLessThan(meanSpeed(0));
+});
+
+test('isolated elastic box conserves kinetic energy', () => {
+  const engine = createEngine({ restitution: 1, thermostat: 'none', seed: 7 });
+  const { kineticEnergy } = engine.measure();
+  for (let i = 0; i < 500; i++) engine.step(1);
+  expect(engine.measure().kineticEnergy).toBeCloseTo(kineticEnergy, 6);
+});
+
+test('kinetic energy gained by a falling isolated gas is the work done by gravity', () => {
+  const engine = createEngine({ thermostat: 'none', gravity: 0.3, seed: 2 });
+  const initial = engine.measure().kineticEnergy;
+  for (let i = 0; i < 500; i++) engine.step(1);
+  const { kineticEnergy, gravity } = engine.getEnergyLedger();
+  expect(gravity).toBeGreaterThan(0);
+  expect(kineticEnergy).toBeCloseTo(initial + gravity, 6);
+});
+
+test('rescale thermostat holds the average speed at the target', () => {
+  const engine = createEngine({ temperature: 400, thermostat: 'rescale', seed: 3 });
+  for (let i = 0; i < 100; i++) engine.step(1);
+  const particles = engine.getParticles();
+  const avg =
+    particles.reduce((sum, p) => sum + Math.hypot(p.vx, p.vy), 0) / particles.length;
+  expect(avg).toBeCloseTo(0.5 * Math.sqrt(400), 6);
+});
+
+test('inelastic losses are accounted for in the energy ledger', () => {
+  const engine = createEngine({ restitution: 0.8, thermostat: 'none', seed: 11 });
+  const initial = engine.measure().kineticEnergy;
+  for (let i = 0; i < 300; i++) engine.step(1);
+  const { kineticEnergy, collisions, thermostat } = engine.getEnergyLedger();
+  expect(collisions).toBeLessThan(0);
+  expect(thermostat).toBe(0);
+  expect(kineticEnergy).toBeCloseTo(initial + collisions, 6);
+});
+
+test.each(['berendsen', 'andersen', 'heatBath'])(
+  '%s thermostat brings the gas to the target temperature',
+  (thermostat) => {
+    const engine = createEngine({ temperature: 200, thermostat, seed: 9 });
+    engine.setTemperature(450);
+    let sum = 0;
+    for (let i = 0; i < 4000; i++) {
+      engine.step(1);
+      if (i >= 2000) sum += engine.measure().kineticEnergy / engine.getParticles().length;
+    }
+    const kT = simulationThermalEnergy(450, engine.config.baseSpeedFactor);
+    expect(sum / 2000).toBeGreaterThan(0.85 * kT);
+    expect(sum / 2000).toBeLessThan(1.15 * kT);
+  }
+);
+
+test('same seed gives the same run, and state round-trips through JSON', () => {
+  const a = createEngine({ seed: 42 });
+  const b = createEngine({ seed: 42 });
+  for (let i = 0; i < 50; i++) {
+    a.step(1);
+    b.step(1);
+  }
+  expect(a.getState()).toEqual(b.getState());
+
+  const saved = JSON.parse(JSON.stringify(a.getState()));
+  for (let i = 0; i < 50; i++) a.step(1);
+  b.setState(saved);
+  for (let i = 0; i < 50; i++) b.step(1);
+  expect(b.getState()).toEqual(a.getState());
+});
+
+test('3D box conserves energy when isolated and follows equipartition with a thermostat', () => {
+  const isolated = createEngine({ dimensions: 3, thermostat: 'none', seed: 6 });
+  const { kineticEnergy } = isolated.measure();
+  for (let i = 0; i < 500; i++) isolated.step(1);
+  expect(isolated.measure().kineticEnergy).toBeCloseTo(kineticEnergy, 6);
+  const { depth } = isolated.config;
+  expect(isolated.getParticles().every((p) => p.z >= 0 && p.z <= depth)).toBe(true);
+
+  // Three degrees of freedom: a mean kinetic energy of 3/2 kT per particle.
+  const engine = createEngine({ dimensions: 3, thermostat: 'andersen', seed: 8 });
+  let sum = 0;
+  for (let i = 0; i < 4000; i++) {
+    engine.step(1);
+    if (i >= 2000) sum += engine.measure().kineticEnergy / engine.getParticles().length;
+  }
+  const kT = simulationThermalEnergy(300, engine.config.baseSpeedFactor);
+  expect(sum / 2000).toBeGreaterThan(0.85 * 1.5 * kT);
+  expect(sum / 2000).toBeLessThan(1.15 * 1.5 * kT);
+});
+
+test('a moving piston does work on the particles that bounce off it', () => {
+  const p = { x: 98, y: 50, vx: 2, vy: 0, radius: 5, mass: 1 };
+  // Compressing at 1 px/frame: vx goes from 2 to -4, doing 6 units of work.
+  expect(applyPiston([p], 100, -1)).toBeCloseTo(6, 10);
+  expect(p.vx).toBe(-4);
+  expect(p.x).toBe(95);
+});
+
+test('slow adiabatic compression to half the area doubles the temperature in 2D', () => {
+  const engine = createEngine({ thermostat: 'none', seed: 9 });
+  for (let i = 0; i < 300; i++) engine.step(1);
+  const before = engine.measure().kineticEnergy;
+  engine.setOption('piston', { target: 200, speed: 0.2 });
+  for (let i = 0; i < 1200; i++) engine.step(1);
+  expect(engine.config.width).toBe(200);
+  const ledger = engine.getEnergyLedger();
+  // TV^(γ - 1) is constant with γ = 2, and all the heating is piston work.
+  expect(ledger.kineticEnergy / before).toBeGreaterThan(1.9);
+  expect(ledger.kineticEnergy / before).toBeLessThan(2.2);
+  expect(ledger.piston).toBeCloseTo(ledger.kineticEnergy - before, 6);
+});
+
+test('a resized box places fresh particles inside it and keeps them there', () => {
+  const engine = createEngine({ seed: 5 });
+  engine.setOption('piston', { target: 300, speed: 1 });
+  engine.setBox({ width: 600, height: 200 });
+  expect(engine.config.piston).toBeNull();
+  for (let i = 0; i < 300; i++) engine.step(1);
+  engine.getParticles().forEach((p) => {
+    expect(p.x).toBeGreaterThanOrEqual(p.radius);
+    expect(p.x).toBeLessThanOrEqual(600 - p.radius);
+    expect(p.y).toBeGreaterThanOrEqual(p.radius);
+    expect(p.y).toBeLessThanOrEqual(200 - p.radius);
+  });
+  expect(engine.getParticles().some((p) => p.x > 400)).toBe(true);
+});
+
+test('each particle counts its collisions, and a full event log reports what it dropped', () => {
+  const engine = createEngine({ seed: 4, species: [createSpecies({ count: 200, radius: 8 })] });
+  let logged = 0;
+  let dropped = 0;
+  for (let i = 0; i < 200; i++) {
+    engine.step(1);
+    if (i % 50 === 49) {
+      const taken = engine.takeCollisionEvents();
+      logged += taken.events.length;
+      dropped += taken.dropped;
+    }
+  }
+  const { count } = engine.getCollisionStats();
+  const perParticle = engine.getParticles().reduce((sum, p) => sum + p.collisions, 0);
+  expect(perParticle).toBe(2 * count);
+  expect(dropped).toBeGreaterThan(0);
+  expect(logged + dropped).toBe(count);
+  expect(engine.takeCollisionEvents()).toEqual({ events: [], dropped: 0 });
+});
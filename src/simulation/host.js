@@ -0,0 +1,206 @@
+import { createEngine } from './engine.js';
+
+// Runs the engine on a fixed timestep and publishes packed frames.
+// The same host runs inside the Web Worker and, where workers are not
+// available (tests, old browsers), on the main thread.
+//
+// One engine step (dt = 1) is one 60 Hz frame of simulated time. Real time
+// is fed into an accumulator, so the simulation advances at the same rate
+// whatever the display refresh rate or timer jitter.
+
+export const FRAME_SECONDS = 1 / 60;
+const MAX_STEPS_PER_TICK = 8; // drop time rather than spiral when overloaded
+const TICK_MS = 16;
+const EPSILON = 1e-9; // absorbs rounding in the accumulated frame count
+
+// Values per particle in a frame: x, y, vx, vy, radius, mass, z, vz
+// (z and vz are 0 in a 2D box).
+export const FRAME_STRIDE = 8;
+
+// Pack the particles into transferable typed arrays, with the species and
+// the number of collisions of each particle alongside.
+export const packFrame = (engine) => {
+  const particles = engine.getParticles();
+  const data = new Float32Array(particles.length * FRAME_STRIDE);
+  const species = new Uint16Array(particles.length);
+  const collisions = new Uint32Array(particles.length);
+  particles.forEach((p, i) => {
+    const o = i * FRAME_STRIDE;
+    data[o] = p.x;
+    data[o + 1] = p.y;
+    data[o + 2] = p.vx;
+    data[o + 3] = p.vy;
+    data[o + 4] = p.radius;
+    data[o + 5] = p.mass;
+    data[o + 6] = p.z;
+    data[o + 7] = p.vz;
+    species[i] = p.species;
+    collisions[i] = p.collisions;
+  });
+  return { data, species, collisions };
+};
+
+// Rebuild engine particles from a packed frame.
+export const unpackFrame = ({ data, species, collisions }) =>
+  Array.from(species, (speciesIndex, i) => {
+    const o = i * FRAME_STRIDE;
+    return {
+      x: data[o],
+      y: data[o + 1],
+      vx: data[o + 2],
+      vy: data[o + 3],
+      radius: data[o + 4],
+      mass: data[o + 5],
+      z: data[o + 6],
+      vz: data[o + 7],
+      species: speciesIndex,
+      collisions: collisions ? collisions[i] : 0,
+    };
+  });
+
+export const createSimulationHost = (postFrame, options = {}) => {
+  let engine = createEngine(options);
+  let paused = false;
+  let speed = 1;
+  let accumulator = 0;
+  let lastTick = null;
+  let timer = null;
+
+  const publish = () => {
+    const { data, species, collisions } = packFrame(engine);
+    const { events, dropped } = engine.takeCollisionEvents();
+    postFrame(
+      {
+        type: 'frame',
+        time: engine.getTime(),
+        dimensions: engine.config.dimensions,
+        width: engine.config.width,
+        height: engine.config.height,
+        partition: engine.config.partition,
+        depth: engine.config.depth,
+        gravity: engine.config.gravity,
+        piston: engine.config.piston,
+        rngState: engine.getRandomState(),
+        paused,
+        speed,
+        ledger: engine.getEnergyLedger(),
+        wallImpulse: engine.getWallImpulse(),
+        collisionStats: engine.getCollisionStats(),
+        collisionEvents: events,
+        droppedCollisionEvents: dropped,
+        data,
+        species,
+        collisions,
+      },
+      [data.buffer, species.buffer, collisions.buffer]
+    );
+  };
+
+  // Advance by the real time elapsed since the previous tick.
+  const tick = (now) => {
+    const elapsed = lastTick === null ? 0 : (now - lastTick) / 1000;
+    lastTick = now;
+    if (paused) return;
+    accumulator += (elapsed / FRAME_SECONDS) * speed;
+    let steps = 0;
+    while (accumulator >= 1 - EPSILON && steps < MAX_STEPS_PER_TICK) {
+      engine.step(1);
+      accumulator -= 1;
+      steps += 1;
+    }
+    if (steps === MAX_STEPS_PER_TICK) accumulator = 0;
+    if (steps > 0) publish();
+  };
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'init':
+        engine = createEngine(message.options);
+        accumulator = 0;
+        publish();
+        break;
+      case 'setTemperature':
+        engine.setTemperature(message.value);
+        break;
+      case 'setOption':
+        engine.setOption(message.key, message.value);
+        if (message.key === 'thermostat') engine.resetEnergyLedger();
+        break;
+      case 'setSpecies':
+        engine.setSpecies(message.species);
+        publish();
+        break;
+      case 'setDimensions':
+        engine.setDimensions(message.value);
+        publish();
+        break;
+      case 'setBox':
+        engine.setBox(message.box);
+        publish();
+        break;
+      case 'pause':
+        paused = true;
+        accumulator = 0;
+        publish();
+        break;
+      case 'resume':
+        paused = false;
+        break;
+      case 'step':
+        engine.step(1);
+        publish();
+        break;
+      case 'restore': {
+        // Continue from a rewound frame recorded on the main thread: its
+        // particles, counters, energy ledger, piston and random generator,
+        // with the current settings otherwise.
+        const { frame } = message;
+        const state = engine.getState();
+        const { kineticEnergy, ...ledger } = frame.ledger || {};
+        engine.setState({
+          ...state,
+          time: frame.time,
+          config: {
+            ...state.config,
+            width: frame.width || state.config.width,
+            piston: frame.piston !== undefined ? frame.piston : state.config.piston,
+          },
+          rngState: frame.rngState !== undefined ? frame.rngState : state.rngState,
+          ledger: frame.ledger ? ledger : state.ledger,
+          wallImpulse: frame.wallImpulse || 0,
+          collisionStats: frame.collisionStats,
+          particles: unpackFrame(frame),
+        });
+        accumulator = 0;
+        publish();
+        break;
+      }
+      case 'getState':
+        postFrame({ type: 'state', requestId: message.requestId, state: engine.getState() });
+        break;
+      case 'setState':
+        engine.setState(message.state);
+        accumulator = 0;
+        publish();
+        break;
+      case 'setSpeed':
+        speed = message.value;
+        break;
+      default:
+        break;
+    }
+  };
+
+  return {
+    handleMessage,
+    tick,
+    getEngine: () => engine,
+    start: () => {
+      if (timer === null) timer = setInterval(() => tick(performance.now()), TICK_MS);
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
@@ -0,0 +1,77 @@
+import { createSimulationHost, FRAME_SECONDS, FRAME_STRIDE } from './host';
+
+const run = (ticksPerSecond, totalSeconds) => {
+  const frames = [];
+  const host = createSimulationHost((frame) => frames.push(frame), { seed: 2 });
+  for (let i = 0; i <= ticksPerSecond * totalSeconds; i++) {
+    host.tick((i * 1000) / ticksPerSecond);
+  }
+  return { host, frames };
+};
+
+test('simulated time does not depend on the tick rate', () => {
+  const fast = run(120, 2);
+  const slow = run(30, 2);
+  expect(fast.host.getEngine().getTime()).toBe(2 / FRAME_SECONDS);
+  expect(slow.host.getEngine().getTime()).toBe(2 / FRAME_SECONDS);
+});
+
+test('pause stops time and step advances exactly one frame', () => {
+  const frames = [];
+  const host = createSimulationHost((frame) => frames.push(frame), { seed: 2 });
+  host.tick(0);
+  host.handleMessage({ type: 'pause' });
+  host.tick(1000);
+  expect(host.getEngine().getTime()).toBe(0);
+  host.handleMessage({ type: 'step' });
+  expect(host.getEngine().getTime()).toBe(1);
+  expect(frames[frames.length - 1].paused).toBe(true);
+});
+
+test('speed multiplies simulated time and frames pack every particle', () => {
+  const frames = [];
+  const host = createSimulationHost((frame) => frames.push(frame), { seed: 2 });
+  host.handleMessage({ type: 'setSpeed', value: 2 });
+  host.tick(0);
+  host.tick(50);
+  expect(host.getEngine().getTime()).toBe(6);
+  const last = frames[frames.length - 1];
+  expect(last.data.length).toBe(host.getEngine().getParticles().length * FRAME_STRIDE);
+});
+
+test('restore continues from a recorded frame', () => {
+  const frames = [];
+  const host = createSimulationHost((frame) => frames.push(frame), { seed: 2 });
+  host.handleMessage({ type: 'pause' });
+  for (let i = 0; i < 5; i++) host.handleMessage({ type: 'step' });
+  const recorded = frames[2];
+  host.handleMessage({ type: 'restore', frame: recorded });
+  expect(host.getEngine().getTime()).toBe(recorded.time);
+  expect(Array.from(frames[frames.length - 1].data)).toEqual(Array.from(recorded.data));
+});
+
+test('a run resumed from a rewound frame continues as the original did', () => {
+  const frames = [];
+  const host = createSimulationHost((frame) => frames.push(frame), {
+    seed: 3,
+    thermostat: 'andersen',
+  });
+  host.handleMessage({ type: 'setOption', key: 'piston', value: { target: 300, speed: 1 } });
+  host.handleMessage({ type: 'pause' });
+  for (let i = 0; i < 40; i++) host.handleMessage({ type: 'step' });
+  const original = frames.slice(-10);
+  host.handleMessage({ type: 'restore', frame: frames[frames.length - 11] });
+  for (let i = 0; i < 10; i++) host.handleMessage({ type: 'step' });
+  const resumed = frames.slice(-10);
+  // Frames are packed as 32-bit floats, so the runs agree to rounding.
+  resumed.forEach((frame, i) => {
+    expect(frame.time).toBe(original[i].time);
+    expect(frame.width).toBe(original[i].width);
+    expect(frame.rngState).toBe(original[i].rngState);
+    Object.keys(original[i].ledger).forEach((key) => {
+      expect(frame.ledger[key]).toBeCloseTo(original[i].ledger[key], 2);
+    });
+    frame.data.forEach((value, j) => expect(value).toBeCloseTo(original[i].data[j], 1));
+  });
+  expect(original[9].ledger.thermostat).not.toBe(0);
+});
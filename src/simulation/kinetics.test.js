@@ -0,0 +1,37 @@
+import { arrheniusRate, erfc, fitArrhenius, fractionAbove } from './kinetics';
+import { energyDensity, energyDensity2D, GAS_CONSTANT } from './theory';
+
+test('erfc matches known values', () => {
+  expect(erfc(0)).toBeCloseTo(1, 7);
+  expect(erfc(1)).toBeCloseTo(0.157299207, 7);
+  expect(erfc(-1)).toBeCloseTo(1.842700793, 7);
+  expect(erfc(3) / 2.209049699858544e-5).toBeCloseTo(1, 5);
+});
+
+test('fraction above Ea equals the numerical tail integral', () => {
+  const kT = 2.5;
+  const Ea = 20;
+  const h = 0.001;
+  let tail = 0;
+  for (let E = Ea + h / 2; E < 400; E += h) tail += energyDensity(E, kT) * h;
+  expect(fractionAbove(Ea, kT) / tail).toBeCloseTo(1, 4);
+  expect(fractionAbove(0, kT)).toBe(1);
+
+  let tail2D = 0;
+  for (let E = Ea + h / 2; E < 400; E += h) tail2D += energyDensity2D(E, kT) * h;
+  expect(fractionAbove(Ea, kT, 2) / tail2D).toBeCloseTo(1, 4);
+});
+
+test('fitting ln k against 1/T recovers Ea and A', () => {
+  const A = 1e10;
+  const Ea = 50; // kJ/mol
+  const points = [250, 300, 350, 400, 450].map((T) => ({
+    temperature: T,
+    k: arrheniusRate(A, Ea * 1000, GAS_CONSTANT * T),
+  }));
+  const fit = fitArrhenius(points);
+  expect((fit.activationTemperature * GAS_CONSTANT) / 1000).toBeCloseTo(Ea, 6);
+  expect(fit.A / A).toBeCloseTo(1, 6);
+  expect(fit.r2).toBeCloseTo(1, 10);
+  expect(fitArrhenius(points.slice(0, 1))).toBeNull();
+});
@@ -0,0 +1,30 @@
+// Small seeded pseudo-random generator (mulberry32).
+// The whole generator state is one 32-bit integer, so it can be stored in
+// the engine state and restored to replay a run exactly.
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Standard normal deviate (Box–Muller).
+  const normal = () => {
+    const u = 1 - next();
+    const v = next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  return {
+    next,
+    normal,
+    getState: () => state,
+    setState: (s) => {
+      state = s >>> 0;
+    },
+  };
+};
@@ -0,0 +1,54 @@
+import { createEngine, createSpecies } from './engine';
+import { countSpecies, lineOfCentersEnergy, reactPair } from './reactions';
+
+const species = [
+  createSpecies({ name: 'A', mass: 1, radius: 5 }),
+  createSpecies({ name: 'B', mass: 2, radius: 6 }),
+];
+
+test('line-of-centers energy counts only the approach along the centers', () => {
+  const head = lineOfCentersEnergy(
+    { x: 0, y: 0, vx: 2, vy: 0, mass: 1 },
+    { x: 9, y: 0, vx: 0, vy: 0, mass: 1 }
+  );
+  expect(head).toBeCloseTo(0.5 * 0.5 * 4, 10);
+  const glancing = lineOfCentersEnergy(
+    { x: 0, y: 0, vx: 0, vy: 2, mass: 1 },
+    { x: 9, y: 0, vx: 0, vy: 0, mass: 1 }
+  );
+  expect(glancing).toBe(0);
+});
+
+test('only collisions above the activation energy convert reactants', () => {
+  const reaction = { reactant: 0, product: 1, activationEnergy: 1, heat: 0.5 };
+  const p1 = { x: 0, y: 0, vx: 1, vy: 0, radius: 5, mass: 1, species: 0 };
+  const p2 = { x: 9, y: 0, vx: 0, vy: 0, radius: 5, mass: 1, species: 1 };
+  expect(reactPair(p1, p2, 0.5, reaction, species)).toBe(0);
+  expect(p1.species).toBe(0);
+
+  const released = reactPair(p1, p2, 2, reaction, species);
+  expect(released).toBeCloseTo(0.5, 10);
+  expect(p1.species).toBe(1);
+  expect(p1.mass).toBe(2);
+  expect(p1.radius).toBe(6);
+  expect(0.5 * p1.mass * (p1.vx * p1.vx + p1.vy * p1.vy)).toBeCloseTo(1, 10);
+});
+
+test('a lower activation energy converts reactants faster', () => {
+  const converted = (activationEnergy) => {
+    const engine = createEngine({
+      seed: 3,
+      species: [
+        createSpecies({ name: 'A', count: 80 }),
+        createSpecies({ name: 'B', count: 0 }),
+      ],
+      reaction: { reactant: 0, product: 1, activationEnergy, heat: 0 },
+    });
+    for (let i = 0; i < 600; i++) engine.step(1);
+    return countSpecies(engine.getParticles().map((p) => p.species), 2)[1];
+  };
+  const slow = converted(400);
+  const fast = converted(300);
+  expect(slow).toBeGreaterThan(0);
+  expect(fast).toBeGreaterThan(slow);
+});
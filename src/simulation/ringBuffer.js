@@ -0,0 +1,28 @@
+// Fixed-capacity ring buffer. Once full, each push overwrites the oldest
+// entry. Index 0 is always the oldest item still held.
+export const createRingBuffer = (capacity) => {
+  let items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push: (item) => {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) size += 1;
+      else start = (start + 1) % capacity;
+    },
+    get: (index) => (index >= 0 && index < size ? items[(start + index) % capacity] : undefined),
+    last: () => (size ? items[(start + size - 1) % capacity] : undefined),
+    size: () => size,
+    capacity: () => capacity,
+    // Drop everything after `index`, e.g. when resuming from a rewound frame.
+    truncate: (index) => {
+      size = Math.max(0, Math.min(size, index + 1));
+    },
+    clear: () => {
+      items = new Array(capacity);
+      start = 0;
+      size = 0;
+    },
+  };
+};
@@ -0,0 +1,18 @@
+import { createRingBuffer } from './ringBuffer';
+
+test('keeps the newest items in order once full', () => {
+  const buffer = createRingBuffer(3);
+  [1, 2, 3, 4, 5].forEach(buffer.push);
+  expect(buffer.size()).toBe(3);
+  expect([0, 1, 2].map(buffer.get)).toEqual([3, 4, 5]);
+  expect(buffer.last()).toBe(5);
+  expect(buffer.get(3)).toBeUndefined();
+});
+
+test('truncate drops the items after an index', () => {
+  const buffer = createRingBuffer(4);
+  [1, 2, 3, 4, 5, 6].forEach(buffer.push);
+  buffer.truncate(1);
+  buffer.push(7);
+  expect([0, 1, 2].map(buffer.get)).toEqual([3, 4, 7]);
+});
@@ -0,0 +1,10 @@
+/* eslint-disable no-restricted-globals */
+import { createSimulationHost } from './host.js';
+
+// Web Worker entry: steps the engine off the main thread and transfers
+// each frame's typed arrays back to SimulationCanvas.
+const host = createSimulationHost((frame, transfer) => self.postMessage(frame, transfer));
+
+self.onmessage = (event) => host.handleMessage(event.data);
+
+host.start();
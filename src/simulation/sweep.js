@@ -0,0 +1,235 @@
+import {
+  createEngine,
+  createSpecies,
+  DEFAULT_OPTIONS,
+  getSpeeds,
+  meanSpeed,
+  resizeMixture,
+  simulationThermalEnergy,
+} from './engine.js';
+import { fractionAbove } from './kinetics.js';
+import { toCSV } from '../utils/csv.js';
+
+// Parameter scans: step one setting across a range and, at each point, let
+// the gas equilibrate, then record kinetic theory next to what the particles
+// actually do. Runs on its own engine, so it works anywhere the engine does:
+// the app (a slice of frames at a time, see SweepPanel), Jest or Node
+// (npm run sweep).
+//
+// The thermostat brings the gas to each temperature and is then switched
+// off while the point is sampled, so the measured distribution is the one
+// the collisions keep up rather than one the thermostat imposes. The
+// isolated gas keeps the energy it settled at, which is why the mean energy
+// is not among the measured values.
+//
+// Energies are in the chart's classroom units, E = ½·m·(v / baseSpeedFactor)²,
+// the units the simulation's activation energy is set in. The gas does not
+// react during a sweep, so every point is a steady state.
+
+export const SWEEP_PARAMETERS = {
+  temperature: { label: 'Temperature (K)', from: 100, to: 500 },
+  activationEnergy: { label: 'Activation energy', from: 100, to: 600 },
+  numParticles: { label: 'Number of particles', from: 20, to: 200 },
+};
+
+export const DEFAULT_SWEEP = {
+  parameter: 'temperature',
+  from: 100,
+  to: 500,
+  points: 9,
+  temperature: 300,
+  activationEnergy: 400,
+  // Second, lowered activation energy to evaluate at every point, or null.
+  catalystActivationEnergy: null,
+  dimensions: 2,
+  box: { width: DEFAULT_OPTIONS.width, height: DEFAULT_OPTIONS.height },
+  species: [createSpecies()],
+  thermostat: 'berendsen',
+  // Frames sampled at each point once it has equilibrated, and how often
+  // the particle energies are read.
+  frames: 600,
+  sampleEvery: 10,
+  seed: 1,
+};
+
+// Evenly spaced values from `from` to `to`; particle counts are whole.
+export const sweepValues = (parameter, from, to, points) =>
+  Array.from({ length: Math.max(points, 1) }, (_, i) => {
+    const value = points > 1 ? from + ((to - from) * i) / (points - 1) : from;
+    return parameter === 'numParticles' ? Math.round(value) : value;
+  });
+
+// Kinetic energy of each particle, in simulation units.
+const particleEnergies = (particles) =>
+  getSpeeds(particles).map((v, index) => 0.5 * particles[index].mass * v * v);
+
+// Run the thermostatted gas in windows of `window` frames until, over a
+// window, the mean particle energy is within `tolerance` of equipartition
+// and the collisions have spread the energies out: in equilibrium they
+// follow a gamma distribution with variance / mean² = 2 / dimensions, and
+// the particles start out all at one speed. Returns the frames run, or
+// null when the gas has not settled after `maxFrames` (a sparse 3D gas
+// hardly collides). As a generator it yields after every frame.
+function* equilibration(
+  engine,
+  { window = 120, tolerance = 0.05, spread = 0.75, minFrames = 300, maxFrames = 6000 } = {}
+) {
+  const { temperature, baseSpeedFactor, dimensions } = engine.config;
+  const expected = (dimensions / 2) * simulationThermalEnergy(temperature, baseSpeedFactor);
+  for (let frames = 0; frames < maxFrames; ) {
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+    for (let i = 0; i < window; i++) {
+      engine.step(1);
+      for (const energy of particleEnergies(engine.getParticles())) {
+        sum += energy;
+        sumOfSquares += energy * energy;
+        count += 1;
+      }
+      yield;
+    }
+    frames += window;
+    if (count === 0) return frames;
+    const mean = sum / count;
+    const variance = sumOfSquares / count - mean * mean;
+    const settled =
+      Math.abs(mean - expected) <= tolerance * expected &&
+      variance / (mean * mean) >= (spread * 2) / dimensions;
+    if (settled && frames >= minFrames) return frames;
+  }
+  return null;
+}
+
+// Run a generator to the end and return its result.
+const finish = (steps) => {
+  let result = steps.next();
+  while (!result.done) result = steps.next();
+  return result.value;
+};
+
+export const equilibrate = (engine, options) => finish(equilibration(engine, options));
+
+// Analytic statistics of the gas: mean energy (equipartition), the share of
+// molecules above Ea and the mean speed, averaged over the species.
+const theory = (T, Ea, species, dimensions) => {
+  const { baseSpeedFactor } = DEFAULT_OPTIONS;
+  const kT = simulationThermalEnergy(T, baseSpeedFactor);
+  const kTChart = kT / baseSpeedFactor ** 2;
+  const count = species.reduce((sum, s) => sum + s.count, 0);
+  return {
+    meanEnergy: (dimensions / 2) * kTChart,
+    percentageAbove: fractionAbove(Ea, kTChart, dimensions) * 100,
+    meanSpeed:
+      species.reduce((sum, s) => sum + s.count * meanSpeed(kT, s.mass, dimensions), 0) / count,
+  };
+};
+
+// Particle energies and speeds every `sampleEvery` frames for `frames`,
+// yielding after every frame.
+function* sample(engine, frames, sampleEvery) {
+  const energyScale = engine.config.baseSpeedFactor ** 2;
+  const energies = [];
+  const speeds = [];
+  for (let i = 1; i <= frames; i++) {
+    engine.step(1);
+    if (i % sampleEvery === 0) {
+      const particles = engine.getParticles();
+      speeds.push(...getSpeeds(particles));
+      particleEnergies(particles).forEach((energy) => energies.push(energy / energyScale));
+    }
+    yield;
+  }
+  return { energies, speeds };
+}
+
+const percentage = (values, threshold) =>
+  values.length > 0 ? (values.filter((v) => v >= threshold).length / values.length) * 100 : null;
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// The sweep, one point at a time, each a row of settings, analytic values
+// and measured ones (prefixed "measured"). A generator that yields
+// undefined after every simulated frame and the row when a point is done,
+// so the app can run it in slices between browser frames and stop early.
+export function* sweepPoints(options = {}) {
+  const sweep = { ...DEFAULT_SWEEP, ...options };
+  const { parameter, dimensions, frames, sampleEvery } = sweep;
+  if (!(parameter in SWEEP_PARAMETERS)) {
+    throw new Error(`Unknown sweep parameter "${parameter}".`);
+  }
+  // Without a thermostat the gas would never reach the set temperatures.
+  const thermostat = sweep.thermostat === 'none' ? 'berendsen' : sweep.thermostat;
+  const engine = createEngine({
+    species: sweep.species,
+    temperature: sweep.temperature,
+    dimensions,
+    width: sweep.box.width,
+    height: sweep.box.height,
+    thermostat,
+    seed: sweep.seed,
+  });
+  const { width, height } = engine.config;
+  for (const value of sweepValues(parameter, sweep.from, sweep.to, sweep.points)) {
+    const point = { ...sweep, [parameter]: value };
+    let species = engine.getSpecies();
+    if (parameter === 'numParticles') {
+      species = resizeMixture(sweep.species, value, width * height);
+      engine.setSpecies(species);
+    }
+    engine.setTemperature(point.temperature);
+    engine.setOption('thermostat', thermostat);
+    const equilibrationFrames = yield* equilibration(engine);
+    engine.setOption('thermostat', 'none');
+    const measured = yield* sample(engine, frames, sampleEvery);
+    const expected = theory(point.temperature, point.activationEnergy, species, dimensions);
+    const row = {
+      temperature: point.temperature,
+      activationEnergy: point.activationEnergy,
+      numParticles: engine.getParticles().length,
+      equilibrationFrames,
+      ...expected,
+      measuredPercentageAbove: percentage(measured.energies, point.activationEnergy),
+      measuredMeanSpeed: mean(measured.speeds),
+    };
+    if (sweep.catalystActivationEnergy !== null) {
+      const Ea = sweep.catalystActivationEnergy;
+      const catalyst = theory(point.temperature, Ea, species, dimensions);
+      Object.assign(row, {
+        catalystActivationEnergy: Ea,
+        catalystPercentageAbove: catalyst.percentageAbove,
+        measuredCatalystPercentageAbove: percentage(measured.energies, Ea),
+      });
+    }
+    yield row;
+  }
+}
+
+// The whole sweep at once, for scripts and tests.
+export const runSweep = (options) => [...sweepPoints(options)].filter((row) => row !== undefined);
+
+// Column headings of the sweep rows, in the order they are exported.
+export const SWEEP_COLUMNS = {
+  temperature: 'Temperature (K)',
+  activationEnergy: 'Activation energy',
+  numParticles: 'Particles',
+  equilibrationFrames: 'Equilibration (frames)',
+  meanEnergy: 'Mean energy',
+  percentageAbove: '% above Ea',
+  measuredPercentageAbove: 'Measured % above Ea',
+  meanSpeed: 'Mean speed (px/frame)',
+  measuredMeanSpeed: 'Measured mean speed (px/frame)',
+  catalystActivationEnergy: 'Catalyst activation energy',
+  catalystPercentageAbove: '% above catalyst Ea',
+  measuredCatalystPercentageAbove: 'Measured % above catalyst Ea',
+};
+
+export const sweepToCSV = (rows) => {
+  const keys = Object.keys(SWEEP_COLUMNS).filter((key) => rows.some((row) => key in row));
+  return toCSV(
+    keys.map((key) => SWEEP_COLUMNS[key]),
+    rows.map((row) =>
+      keys.map((key) => (typeof row[key] === 'number' ? +row[key].toPrecision(6) : row[key]))
+    )
+  );
+};
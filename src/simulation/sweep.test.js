@@ -0,0 +1,55 @@
+import { createEngine, createSpecies } from './engine';
+import { equilibrate, runSweep, sweepPoints, sweepToCSV, sweepValues } from './sweep';
+
+test('sweep values are evenly spaced, with whole particle counts', () => {
+  expect(sweepValues('temperature', 100, 500, 5)).toEqual([100, 200, 300, 400, 500]);
+  expect(sweepValues('numParticles', 10, 20, 4)).toEqual([10, 13, 17, 20]);
+  expect(sweepValues('temperature', 300, 500, 1)).toEqual([300]);
+});
+
+test('the default 2D gas equilibrates, a sparse 3D one does not settle quickly', () => {
+  expect(equilibrate(createEngine({ seed: 1 }))).not.toBeNull();
+  const sparse = createEngine({ seed: 1, dimensions: 3, species: [createSpecies({ count: 10 })] });
+  expect(equilibrate(sparse, { maxFrames: 600 })).toBeNull();
+});
+
+test('a temperature sweep measures what kinetic theory predicts', () => {
+  const rows = runSweep({ points: 3, from: 200, to: 400, catalystActivationEnergy: 300 });
+  expect(rows.map((row) => row.temperature)).toEqual([200, 300, 400]);
+  rows.forEach((row) => {
+    expect(row.equilibrationFrames).not.toBeNull();
+    expect(row.measuredMeanSpeed / row.meanSpeed).toBeCloseTo(1, 1);
+    expect(Math.abs(row.measuredPercentageAbove - row.percentageAbove)).toBeLessThan(3);
+    expect(row.catalystPercentageAbove).toBeGreaterThan(row.percentageAbove);
+  });
+  // Hotter gas, more molecules above the activation energy.
+  expect(rows[2].measuredPercentageAbove).toBeGreaterThan(rows[0].measuredPercentageAbove);
+});
+
+test('the sweep hands back control after every frame, then yields each row', () => {
+  const points = sweepPoints({ points: 1, frames: 20 });
+  let frames = 0;
+  let result = points.next();
+  while (result.value === undefined) {
+    frames += 1;
+    result = points.next();
+  }
+  expect(result.value.equilibrationFrames).not.toBeNull();
+  expect(frames).toBe(result.value.equilibrationFrames + 20);
+  expect(points.next().done).toBe(true);
+});
+
+test('particle-count sweeps place fresh particles at each point', () => {
+  const rows = runSweep({ parameter: 'numParticles', from: 30, to: 60, points: 2, frames: 60 });
+  expect(rows.map((row) => row.numParticles)).toEqual([30, 60]);
+});
+
+test('unknown parameters are rejected', () => {
+  expect(() => runSweep({ parameter: 'colour' })).toThrow(/Unknown sweep parameter/);
+});
+
+test('sweep CSV has a column per recorded value', () => {
+  const row = { temperature: 300, percentageAbove: 12.31449, measuredPercentageAbove: 11 };
+  const csv = sweepToCSV([row]);
+  expect(csv).toBe('Temperature (K),% above Ea,Measured % above Ea\r\n300,12.3145,11\r\n');
+});
@@ -0,0 +1,109 @@
+// Analytic Maxwell–Boltzmann results used by the distribution chart.
+// Two flavours live here: the physically exact distributions in real
+// units, and the simplified classroom curve the app started with. Both
+// come in 2D (a flat gas, like the default simulation) and 3D forms;
+// `dimensions` arguments default to 3.
+
+export const BOLTZMANN = 1.380649e-23; // J/K
+export const AVOGADRO = 6.02214076e23; // 1/mol
+export const GAS_CONSTANT = BOLTZMANN * AVOGADRO; // J/(mol K)
+
+// Energy units offered on the chart, as multiples of one joule per molecule.
+export const ENERGY_UNITS = {
+  'kJ/mol': AVOGADRO / 1000,
+  zJ: 1e21,
+};
+
+export const convertEnergy = (value, fromUnit, toUnit) =>
+  (value / ENERGY_UNITS[fromUnit]) * ENERGY_UNITS[toUnit];
+
+// kT expressed in the given unit (RT for kJ/mol).
+export const thermalEnergy = (T, unit) => BOLTZMANN * T * ENERGY_UNITS[unit];
+
+// Normalized 3D energy distribution: f(E) = 2·√(E/π)·(kT)^(-3/2)·exp(-E/kT).
+export const energyDensity = (E, kT) => {
+  if (E < 0 || kT <= 0) return 0;
+  return 2 * Math.sqrt(E / Math.PI) * Math.pow(kT, -1.5) * Math.exp(-E / kT);
+};
+
+// Exact mode, mean and rms of the energy distribution. The mean is
+// equipartition: kT/2 per degree of freedom.
+export const energyStatistics = (kT, dimensions = 3) =>
+  dimensions === 2
+    ? { mostProbable: 0, mean: kT, rms: Math.sqrt(2) * kT }
+    : { mostProbable: kT / 2, mean: 1.5 * kT, rms: Math.sqrt(15 / 4) * kT };
+
+// Normalized 2D speed distribution (Rayleigh form), the one a flat box of
+// particles relaxes to: f(v) = (m v / kT)·exp(-m v² / 2kT).
+export const speedDensity2D = (v, mass, kT) => {
+  if (v < 0 || kT <= 0) return 0;
+  return ((mass * v) / kT) * Math.exp((-mass * v * v) / (2 * kT));
+};
+
+// Normalized distribution of one velocity component (vx or vy), a
+// Gaussian with variance kT/m: f(v) = √(m / 2πkT)·exp(-m v² / 2kT).
+export const velocityComponentDensity = (v, mass, kT) => {
+  if (kT <= 0) return 0;
+  return Math.sqrt(mass / (2 * Math.PI * kT)) * Math.exp((-mass * v * v) / (2 * kT));
+};
+
+// Normalized 2D energy distribution, a plain exponential whatever the mass:
+// f(E) = exp(-E/kT) / kT.
+export const energyDensity2D = (E, kT) => {
+  if (E < 0 || kT <= 0) return 0;
+  return Math.exp(-E / kT) / kT;
+};
+
+// Normalized 3D speed distribution:
+// f(v) = 4π v²·(m / 2πkT)^(3/2)·exp(-m v² / 2kT).
+export const speedDensity3D = (v, mass, kT) => {
+  if (v < 0 || kT <= 0) return 0;
+  return (
+    4 * Math.PI * v * v * Math.pow(mass / (2 * Math.PI * kT), 1.5) *
+    Math.exp((-mass * v * v) / (2 * kT))
+  );
+};
+
+// The energy and speed densities for a number of dimensions.
+export const energyDensityFor = (dimensions) =>
+  dimensions === 2 ? energyDensity2D : energyDensity;
+export const speedDensityFor = (dimensions) =>
+  dimensions === 2 ? speedDensity2D : speedDensity3D;
+
+// Characteristic molecular speeds in m/s for a molar mass in g/mol.
+export const speedStatistics = (T, molarMass, dimensions = 3) => {
+  const m = molarMass / 1000 / AVOGADRO;
+  const kT = BOLTZMANN * T;
+  if (dimensions === 2) {
+    return {
+      mostProbable: Math.sqrt(kT / m),
+      mean: Math.sqrt((Math.PI * kT) / (2 * m)),
+      rms: Math.sqrt((2 * kT) / m),
+    };
+  }
+  return {
+    mostProbable: Math.sqrt((2 * kT) / m),
+    mean: Math.sqrt((8 * kT) / (Math.PI * m)),
+    rms: Math.sqrt((3 * kT) / m),
+  };
+};
+
+// --- Simplified classroom preset ---
+// The original curve: a fudged effective temperature T_eff = 0.5*T + 50,
+// a sharpness of 2 and a 0.72 multiplier, scaled to 50 molecules.
+// f(E,T) = 0.72*(2/√π)*(sharpness/T_eff)^(3/2)*√E*exp(-E/T_eff)*totalParticles
+// The 2D version is the exponential with the same T_eff and the same area.
+export const CLASSROOM_PARTICLES = 50;
+const CLASSROOM_SHARPNESS = 2;
+// Area under the classroom curve, in 2D and 3D alike.
+export const CLASSROOM_AREA = 0.72 * Math.pow(CLASSROOM_SHARPNESS, 1.5) * CLASSROOM_PARTICLES;
+
+export const classroomEffectiveTemperature = (T) => 0.5 * T + 50;
+
+export const classroomEnergyDensity = (E, T, dimensions = 3) => {
+  const T_eff = classroomEffectiveTemperature(T);
+  if (T_eff <= 0) return 0;
+  if (dimensions === 2) return CLASSROOM_AREA * energyDensity2D(E, T_eff);
+  const norm = (2 / Math.sqrt(Math.PI)) * Math.pow(CLASSROOM_SHARPNESS / T_eff, 1.5);
+  return 0.72 * norm * Math.sqrt(E) * Math.exp(-E / T_eff) * CLASSROOM_PARTICLES;
+};
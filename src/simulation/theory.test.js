@@ -0,0 +1,63 @@
+import {
+  energyDensity,
+  energyDensity2D,
+  energyStatistics,
+  speedDensity2D,
+  speedDensity3D,
+  velocityComponentDensity,
+  speedStatistics,
+  thermalEnergy,
+  convertEnergy,
+} from './theory';
+
+const integrate = (f, a, b, n = 20000) => {
+  const h = (b - a) / n;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += f(a + (i + 0.5) * h) * h;
+  return sum;
+};
+
+test('energy density is normalized and matches the analytic mean', () => {
+  const kT = thermalEnergy(300, 'kJ/mol');
+  const upper = 40 * kT;
+  expect(integrate((E) => energyDensity(E, kT), 0, upper)).toBeCloseTo(1, 3);
+  const mean = integrate((E) => E * energyDensity(E, kT), 0, upper);
+  expect(mean).toBeCloseTo(energyStatistics(kT).mean, 3);
+});
+
+test('2D speed, velocity-component and energy densities are normalized', () => {
+  const kT = 2.5;
+  const mass = 4;
+  const sigma = Math.sqrt(kT / mass);
+  expect(integrate((v) => speedDensity2D(v, mass, kT), 0, 12 * sigma)).toBeCloseTo(1, 4);
+  expect(
+    integrate((v) => velocityComponentDensity(v, mass, kT), -12 * sigma, 12 * sigma)
+  ).toBeCloseTo(1, 4);
+  expect(
+    integrate((v) => v * v * velocityComponentDensity(v, mass, kT), -12 * sigma, 12 * sigma)
+  ).toBeCloseTo(kT / mass, 4);
+  expect(integrate((E) => energyDensity2D(E, kT), 0, 40 * kT)).toBeCloseTo(1, 4);
+  expect(integrate((E) => E * energyDensity2D(E, kT), 0, 40 * kT)).toBeCloseTo(kT, 3);
+});
+
+test('3D speeds and 2D energy statistics match their densities', () => {
+  const kT = 2.5;
+  const mass = 4;
+  const sigma = Math.sqrt(kT / mass);
+  expect(integrate((v) => speedDensity3D(v, mass, kT), 0, 12 * sigma)).toBeCloseTo(1, 4);
+  expect(
+    integrate((v) => 0.5 * mass * v * v * speedDensity3D(v, mass, kT), 0, 12 * sigma)
+  ).toBeCloseTo(energyStatistics(kT, 3).mean, 3);
+  const rms2D = Math.sqrt(integrate((E) => E * E * energyDensity2D(E, kT), 0, 40 * kT));
+  expect(rms2D).toBeCloseTo(energyStatistics(kT, 2).rms, 3);
+  expect(speedStatistics(300, 28, 2).rms).toBeCloseTo(speedStatistics(300, 28).rms * Math.sqrt(2 / 3), 6);
+});
+
+test('RT at 300 K is about 2.494 kJ/mol', () => {
+  expect(thermalEnergy(300, 'kJ/mol')).toBeCloseTo(2.494, 3);
+  expect(convertEnergy(1, 'kJ/mol', 'zJ')).toBeCloseTo(1.6605, 4);
+});
+
+test('nitrogen rms speed at 300 K is about 517 m/s', () => {
+  expect(speedStatistics(300, 28).rms).toBeCloseTo(517, 0);
+});
@@ -0,0 +1,53 @@
+// Bulk properties of the simulated gas: pressure from the momentum the
+// particles give the walls, kinetic temperature from their mean kinetic
+// energy, and the ideal and hard-particle equations of state to compare
+// them with. Everything is in simulation units (pixels and frames); in 2D
+// "volume" is the box area and pressure is force per unit wall length.
+
+// Volume of the box and total area of its walls (perimeter in 2D).
+export const boxGeometry = ({ width, height, depth, dimensions = 2 }) =>
+  dimensions === 3
+    ? {
+        volume: width * height * depth,
+        wallArea: 2 * (width * height + height * depth + width * depth),
+      }
+    : { volume: width * height, wallArea: 2 * (width + height) };
+
+// Pressure: momentum transferred to the walls per unit time and wall area.
+export const wallPressure = (impulse, elapsed, wallArea) =>
+  elapsed > 0 ? impulse / (elapsed * wallArea) : 0;
+
+// kT from the mean kinetic energy, kT/2 per degree of freedom.
+export const kineticThermalEnergy = (kineticEnergy, count, dimensions = 2) =>
+  count > 0 ? (2 * kineticEnergy) / (dimensions * count) : 0;
+
+// Excluded volume per particle, half the volume a pair of equal disks or
+// spheres keeps to itself: 2πr² in 2D and 16πr³/3 in 3D.
+export const excludedVolume = (radius, dimensions = 2) =>
+  dimensions === 3 ? (16 * Math.PI * radius ** 3) / 3 : 2 * Math.PI * radius * radius;
+
+// Volume the particle centers can actually use: the box, less a layer one
+// radius thick along the walls (centers stop a radius short of each wall,
+// which removes r·wallArea/d in a square box) and the particles' excluded
+// volume. The van der Waals-style equation of state P·V_free = NkT has no
+// attraction term, since the particles are hard and otherwise free.
+export const freeVolume = (radii, geometry, dimensions = 2) => {
+  if (radii.length === 0) return geometry.volume;
+  const meanRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+  const excluded = radii.reduce((sum, r) => sum + excludedVolume(r, dimensions), 0);
+  return geometry.volume - (meanRadius * geometry.wallArea) / dimensions - excluded;
+};
+
+// Compressibility factor Z = PV / NkT: 1 for an ideal gas.
+export const compressibility = (pressure, volume, count, kT) =>
+  count > 0 && kT > 0 ? (pressure * volume) / (count * kT) : 0;
+
+// Kinetic-theory mean free path of hard disks (2D) or spheres (3D) of
+// diameter d at number density n: 1 / (√2·n·σ), with the cross-section σ
+// equal to d in 2D and πd² in 3D. The √2 is the ratio of the mean relative
+// speed to the mean speed.
+export const meanFreePath = (density, diameter, dimensions = 2) =>
+  1 / (Math.SQRT2 * density * (dimensions === 3 ? Math.PI * diameter * diameter : diameter));
+
+// Collisions per particle per unit time: mean speed over mean free path.
+export const collisionFrequency = (meanSpeed, freePath) => meanSpeed / freePath;
@@ -0,0 +1,69 @@
+import { createEngine, createSpecies } from './engine';
+import {
+  boxGeometry,
+  compressibility,
+  freeVolume,
+  kineticThermalEnergy,
+  meanFreePath,
+  wallPressure,
+} from './thermodynamics';
+
+// Time-averaged compressibility PV / NkT of an isolated gas of disks.
+const measureZ = (radius, count) => {
+  const engine = createEngine({
+    seed: 3,
+    thermostat: 'none',
+    species: [createSpecies({ radius, count })],
+  });
+  for (let i = 0; i < 500; i++) engine.step(1);
+  const start = engine.getWallImpulse();
+  const frames = 3000;
+  let kineticEnergy = 0;
+  for (let i = 0; i < frames; i++) {
+    engine.step(1);
+    kineticEnergy += engine.measure().kineticEnergy;
+  }
+  const geometry = boxGeometry(engine.config);
+  const pressure = wallPressure(engine.getWallImpulse() - start, frames, geometry.wallArea);
+  const kT = kineticThermalEnergy(kineticEnergy / frames, count, 2);
+  return compressibility(pressure, geometry.volume, count, kT);
+};
+
+test('box geometry in 2D and 3D', () => {
+  expect(boxGeometry({ width: 400, height: 200 })).toEqual({ volume: 80000, wallArea: 1200 });
+  expect(boxGeometry({ width: 2, height: 3, depth: 4, dimensions: 3 })).toEqual({
+    volume: 24,
+    wallArea: 52,
+  });
+});
+
+test('free volume removes the wall layer and the excluded area of the disks', () => {
+  const geometry = boxGeometry({ width: 100, height: 100 });
+  expect(freeVolume([], geometry)).toBe(10000);
+  // 400 from the walls (r · perimeter / 2) and 2πr² per disk.
+  expect(freeVolume([1, 1], geometry)).toBeCloseTo(10000 - 200 - 4 * Math.PI, 10);
+});
+
+test('nearly point-like particles obey PV = NkT', () => {
+  const Z = measureZ(0.5, 50);
+  expect(Z).toBeGreaterThan(0.95);
+  expect(Z).toBeLessThan(1.05);
+});
+
+test('crowded disks push the pressure above the ideal-gas value', () => {
+  expect(measureZ(10, 100)).toBeGreaterThan(1.2);
+});
+
+test('measured mean free path is close to kinetic theory for the default gas', () => {
+  const engine = createEngine({ seed: 4 });
+  for (let i = 0; i < 300; i++) engine.step(1);
+  const start = engine.getCollisionStats();
+  for (let i = 0; i < 3000; i++) engine.step(1);
+  const end = engine.getCollisionStats();
+  // Every collision ends two free paths.
+  const measured = (end.distance - start.distance) / (2 * (end.count - start.count));
+  const { width, height, numParticles, radius } = engine.config;
+  const theory = meanFreePath(numParticles / (width * height), 2 * radius);
+  expect(measured / theory).toBeGreaterThan(0.7);
+  expect(measured / theory).toBeLessThan(1.3);
+});
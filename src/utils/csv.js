@@ -0,0 +1,21 @@
+// Minimal CSV writer (RFC 4180 quoting). Values containing a comma, quote
+// or line break are quoted, with embedded quotes doubled. Text that a
+// spreadsheet would run as a formula (typed names and labels starting with
+// =, +, -, @ or a tab) gets a leading ' so it is shown as text; numbers,
+// negative ones included, are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const isNumeric = (text) => text.trim() !== '' && Number.isFinite(Number(text));
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_START.test(text) && !isNumeric(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (headers, rows) =>
+  [headers, ...rows].map((row) => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+// Spreadsheet apps need the byte-order mark to read UTF-8 (for "–", "⟨⟩").
+export const CSV_MIME = 'text/csv;charset=utf-8';
+export const withBOM = (csv) => `\ufeff${csv}`;
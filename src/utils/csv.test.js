@@ -0,0 +1,26 @@
+import { toCSV } from './csv';
+
+test('writes headers and rows, quoting where needed', () => {
+  const csv = toCSV(
+    ['Temperature (K)', 'Note'],
+    [
+      [300, 'plain'],
+      [400, 'has, comma'],
+      [500, 'say "hi"'],
+      [600, null],
+    ]
+  );
+  expect(csv).toBe(
+    'Temperature (K),Note\r\n300,plain\r\n400,"has, comma"\r\n500,"say ""hi"""\r\n600,\r\n'
+  );
+});
+
+test('text that a spreadsheet would run as a formula is written as text', () => {
+  const csv = toCSV(
+    ['Label'],
+    [['=HYPERLINK("http://x")'], ['+1+2'], ['-A1'], ['@SUM(A1)'], [-3.5], ['-0.25'], ['a=b']]
+  );
+  expect(csv).toBe(
+    'Label\r\n"\'=HYPERLINK(""http://x"")"\r\n\'+1+2\r\n\'-A1\r\n\'@SUM(A1)\r\n-3.5\r\n-0.25\r\na=b\r\n'
+  );
+});